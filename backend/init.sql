@@ -1,18 +1,60 @@
 -- Payment Gateway Database Schema
 
+-- Trigram indexes let search match anywhere inside receipts, VPAs and emails
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Merchants Table
 CREATE TABLE IF NOT EXISTS merchants (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     name VARCHAR(255) NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
-    api_key VARCHAR(64) NOT NULL UNIQUE,
-    api_secret VARCHAR(64) NOT NULL,
+    publishable_key VARCHAR(64) UNIQUE,
     webhook_url TEXT,
     webhook_secret VARCHAR(64),
+    capture_mode VARCHAR(20) NOT NULL DEFAULT 'manual',
+    authorization_expiry_minutes INTEGER NOT NULL DEFAULT 10080,
+    authorization_expiry_action VARCHAR(20) NOT NULL DEFAULT 'void',
+    order_expiry_minutes INTEGER NOT NULL DEFAULT 1440,
+    supported_currencies TEXT[] NOT NULL DEFAULT ARRAY['INR'],
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- API Keys Table
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    label VARCHAR(255),
+    mode VARCHAR(10) NOT NULL DEFAULT 'test',
+    api_key VARCHAR(64) NOT NULL UNIQUE,
+    secret_hash VARCHAR(128) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+    last_used_at TIMESTAMP
+);
+
+-- Merchant Users Table (dashboard logins)
+CREATE TABLE IF NOT EXISTS merchant_users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    name VARCHAR(255),
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'owner',
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sessions Table
+CREATE TABLE IF NOT EXISTS sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    user_id UUID NOT NULL REFERENCES merchant_users(id) ON DELETE CASCADE,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
 -- Orders Table
 CREATE TABLE IF NOT EXISTS orders (
     id VARCHAR(64) PRIMARY KEY,
@@ -20,6 +62,8 @@ CREATE TABLE IF NOT EXISTS orders (
     amount INTEGER NOT NULL,
     currency VARCHAR(10) DEFAULT 'INR',
     receipt VARCHAR(255),
+    notes JSONB NOT NULL DEFAULT '{}',
+    capture_mode VARCHAR(20) NOT NULL DEFAULT 'manual',
     status VARCHAR(20) DEFAULT 'created',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -36,22 +80,41 @@ CREATE TABLE IF NOT EXISTS payments (
     vpa VARCHAR(255),
     card_last4 VARCHAR(4),
     card_network VARCHAR(20),
-    status VARCHAR(20) DEFAULT 'pending',
+    email VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'created',
     captured BOOLEAN DEFAULT FALSE,
+    amount_captured INTEGER NOT NULL DEFAULT 0,
+    amount_refunded INTEGER NOT NULL DEFAULT 0,
+    authorized_at TIMESTAMP,
     error_code VARCHAR(50),
     error_description TEXT,
+    notes JSONB NOT NULL DEFAULT '{}',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Payment Status History Table
+CREATE TABLE IF NOT EXISTS payment_status_history (
+    id BIGSERIAL PRIMARY KEY,
+    payment_id VARCHAR(64) NOT NULL REFERENCES payments(id),
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Refunds Table
 CREATE TABLE IF NOT EXISTS refunds (
     id VARCHAR(64) PRIMARY KEY,
     payment_id VARCHAR(64) NOT NULL REFERENCES payments(id),
     merchant_id UUID NOT NULL REFERENCES merchants(id),
     amount INTEGER NOT NULL,
+    currency VARCHAR(10) NOT NULL DEFAULT 'INR',
     reason TEXT,
+    notes JSONB NOT NULL DEFAULT '{}',
     status VARCHAR(20) DEFAULT 'pending',
+    error_code VARCHAR(50),
+    error_description TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     processed_at TIMESTAMP
 );
@@ -71,11 +134,31 @@ CREATE TABLE IF NOT EXISTS webhook_logs (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Idempotency Keys Table
+-- Exports Table (background CSV/JSON exports; the file lives on disk)
+CREATE TABLE IF NOT EXISTS exports (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    type VARCHAR(20) NOT NULL,
+    format VARCHAR(10) NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    processed_rows INTEGER NOT NULL DEFAULT 0,
+    error_description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- Idempotency Keys Table (response_code is NULL while the first request runs,
+-- and expires_at is then a short lease)
 CREATE TABLE IF NOT EXISTS idempotency_keys (
     key VARCHAR(255) NOT NULL,
     merchant_id UUID NOT NULL REFERENCES merchants(id),
-    response JSONB NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    claim_id UUID NOT NULL,
+    response_code INTEGER,
+    response JSONB,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     expires_at TIMESTAMP NOT NULL,
     PRIMARY KEY (key, merchant_id)
@@ -83,21 +166,52 @@ CREATE TABLE IF NOT EXISTS idempotency_keys (
 
 -- Indexes
 CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id);
-CREATE INDEX IF NOT EXISTS idx_webhook_logs_merchant_id ON webhook_logs(merchant_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_merchant_id_created_at ON refunds(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_merchant_id_created_at ON webhook_logs(merchant_id, created_at DESC, id DESC);
 CREATE INDEX IF NOT EXISTS idx_webhook_logs_status ON webhook_logs(status);
 CREATE INDEX IF NOT EXISTS idx_webhook_logs_pending_retry ON webhook_logs(next_retry_at) WHERE status = 'pending';
 CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
-CREATE INDEX IF NOT EXISTS idx_payments_merchant_id ON payments(merchant_id);
-CREATE INDEX IF NOT EXISTS idx_orders_merchant_id ON orders(merchant_id);
+CREATE INDEX IF NOT EXISTS idx_payments_merchant_id_created_at ON payments(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_payments_status_authorized_at ON payments(status, authorized_at);
+CREATE INDEX IF NOT EXISTS idx_payment_status_history_payment_id ON payment_status_history(payment_id);
+CREATE INDEX IF NOT EXISTS idx_orders_merchant_id_created_at ON orders(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_status_created_at ON orders(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_api_keys_merchant_id ON api_keys(merchant_id);
+CREATE INDEX IF NOT EXISTS idx_merchant_users_merchant_id ON merchant_users(merchant_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_exports_expires_at ON exports(expires_at);
+CREATE INDEX IF NOT EXISTS idx_orders_receipt_trgm ON orders USING GIN (receipt gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_payments_vpa_trgm ON payments USING GIN (vpa gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_payments_email_trgm ON payments USING GIN (email gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_payments_card_last4 ON payments(merchant_id, card_last4);
 
 -- Insert test merchant
-INSERT INTO merchants (id, name, email, api_key, api_secret, webhook_secret)
+INSERT INTO merchants (id, name, email, publishable_key, webhook_secret)
 VALUES (
     'a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11',
     'Test Merchant',
     'test@example.com',
-    'key_test_abc123',
-    'secret_test_xyz789',
+    'pk_test_abc123',
     'whsec_test_abc123'
 ) ON CONFLICT (email) DO UPDATE SET
+    publishable_key = 'pk_test_abc123',
     webhook_secret = 'whsec_test_abc123';
+
+-- Secret is secret_test_xyz789, stored as sha256$<salt>$<hmac>
+INSERT INTO api_keys (merchant_id, label, mode, api_key, secret_hash)
+VALUES (
+    'a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11',
+    'Default',
+    'test',
+    'key_test_abc123',
+    'sha256$1ded7d8afade1251b381f472a606ae51$19e02abd5ac796ed26f1888c67f2a2210847dd28a119fb9d79d0f44e8a47a6f1'
+) ON CONFLICT (api_key) DO NOTHING;
+
+-- Dashboard login is test@example.com / password123
+INSERT INTO merchant_users (merchant_id, name, email, password_hash)
+VALUES (
+    'a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11',
+    'Test Merchant',
+    'test@example.com',
+    'scrypt$300335ea3ea75d8a570cd43a37279948$124247d6725dbc7d0b8e5851a10bb55671fee4ab9eac60c3958af04947a1c6abb6c892eb79578b9a16f0517b83406c958d49f7fd7daf03fb8b96917611d8e4db'
+) ON CONFLICT (email) DO NOTHING;
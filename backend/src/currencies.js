@@ -0,0 +1,71 @@
+// Currencies the gateway can process. Amounts are always integers in the
+// currency's minor unit (paise, cents); exponent is the number of minor-unit
+// digits, so 50000 INR is 500.00 and 500 JPY is 500. min_amount and
+// max_amount bound a single order, in minor units.
+const CURRENCIES = {
+  INR: {
+    code: "INR",
+    name: "Indian Rupee",
+    symbol: "₹",
+    exponent: 2,
+    min_amount: 100,
+    max_amount: 1000000000,
+  },
+  USD: {
+    code: "USD",
+    name: "US Dollar",
+    symbol: "$",
+    exponent: 2,
+    min_amount: 50,
+    max_amount: 99999999,
+  },
+  EUR: {
+    code: "EUR",
+    name: "Euro",
+    symbol: "€",
+    exponent: 2,
+    min_amount: 50,
+    max_amount: 99999999,
+  },
+  GBP: {
+    code: "GBP",
+    name: "British Pound",
+    symbol: "£",
+    exponent: 2,
+    min_amount: 30,
+    max_amount: 99999999,
+  },
+  JPY: {
+    code: "JPY",
+    name: "Japanese Yen",
+    symbol: "¥",
+    exponent: 0,
+    min_amount: 50,
+    max_amount: 99999999,
+  },
+};
+
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+function getCurrency(code) {
+  return CURRENCIES[code] || null;
+}
+
+// Formats a minor-unit amount for people, e.g. formatAmount(50000, "INR")
+// is "₹500.00"
+function formatAmount(amount, code) {
+  const currency = CURRENCIES[code];
+  if (!currency) {
+    return `${amount} ${code}`;
+  }
+  return `${currency.symbol}${(amount / 10 ** currency.exponent).toFixed(
+    currency.exponent
+  )}`;
+}
+
+module.exports = {
+  CURRENCIES,
+  CURRENCY_CODES,
+  getCurrency,
+  formatAmount,
+};
@@ -0,0 +1,222 @@
+// CSV and JSON exports of a merchant's orders, payments and refunds, filtered
+// like the list endpoints. Rows are read in batches and written as they are
+// read, so an export never has to fit in memory. Small exports are streamed
+// straight to the client; larger ones are written to a file by the worker.
+
+const path = require("path");
+const { filterRows } = require("./pagination");
+const { LIST_FILTERS } = require("./listFilters");
+
+const EXPORT_TYPES = ["orders", "payments", "refunds"];
+const EXPORT_FORMATS = ["csv", "json"];
+const EXPORT_CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+};
+
+// Exports with more rows than this are generated in the background
+const EXPORT_INLINE_MAX_ROWS = 10000;
+
+// Background export files are kept this long before the worker deletes them
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Shared by the API and worker containers through a volume
+const EXPORT_DIR =
+  process.env.EXPORT_DIR || path.join(__dirname, "..", "exports");
+
+const BATCH_SIZE = 500;
+
+// Exported fields per type, in column order. Amounts stay in minor units.
+const EXPORT_COLUMNS = {
+  orders: [
+    "id",
+    "amount",
+    "currency",
+    "receipt",
+    "capture_mode",
+    "status",
+    "notes",
+    "created_at",
+  ],
+  payments: [
+    "id",
+    "order_id",
+    "amount",
+    "currency",
+    "method",
+    "vpa",
+    "card_last4",
+    "card_network",
+    "email",
+    "status",
+    "captured",
+    "amount_captured",
+    "amount_refunded",
+    "error_code",
+    "notes",
+    "created_at",
+  ],
+  refunds: [
+    "id",
+    "payment_id",
+    "amount",
+    "currency",
+    "reason",
+    "status",
+    "error_code",
+    "notes",
+    "created_at",
+    "processed_at",
+  ],
+};
+
+function exportFilePath(exportId, format) {
+  return path.join(EXPORT_DIR, `${exportId}.${format}`);
+}
+
+// Download name, e.g. payments-2024-01-15.csv
+function exportFileName(type, format) {
+  return `${type}-${new Date().toISOString().slice(0, 10)}.${format}`;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+  // Spreadsheets evaluate cells starting with these as formulas
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvValue).join(",")}\r\n`;
+}
+
+async function countExportRows(db, { type, merchantId, filters }) {
+  const { table, conditions } = LIST_FILTERS[type];
+  const { where, params } = filterRows(merchantId, filters, conditions);
+  const result = await db.query(
+    `SELECT COUNT(*) AS total FROM ${table} t WHERE ${where.join(" AND ")}`,
+    params
+  );
+  return parseInt(result.rows[0].total);
+}
+
+// Writes every matching row, newest first, through write(chunk), which may
+// return a promise to apply backpressure. onProgress is called with the
+// number of rows written after each batch.
+async function writeExport(
+  db,
+  { type, format, merchantId, filters },
+  write,
+  onProgress = () => {}
+) {
+  const { table, conditions } = LIST_FILTERS[type];
+  const columns = EXPORT_COLUMNS[type];
+  const filter = filterRows(merchantId, filters, conditions);
+
+  await write(format === "csv" ? csvLine(columns) : "[");
+
+  let lastId = null;
+  let written = 0;
+  for (;;) {
+    const params = [...filter.params];
+    const where = [...filter.where];
+    if (lastId) {
+      // Compared in SQL so created_at keeps its full precision
+      params.push(lastId);
+      where.push(
+        `(t.created_at, t.id) < (
+          SELECT created_at, id FROM ${table} WHERE id = $${params.length}
+        )`
+      );
+    }
+    params.push(BATCH_SIZE);
+
+    const result = await db.query(
+      `SELECT ${columns.map((column) => `t.${column}`).join(", ")}
+       FROM ${table} t
+       WHERE ${where.join(" AND ")}
+       ORDER BY t.created_at DESC, t.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    if (result.rows.length === 0) {
+      break;
+    }
+
+    const chunk =
+      format === "csv"
+        ? result.rows
+            .map((row) => csvLine(columns.map((column) => row[column])))
+            .join("")
+        : result.rows
+            .map(
+              (row, i) =>
+                `${written + i > 0 ? "," : ""}\n${JSON.stringify(row)}`
+            )
+            .join("");
+    await write(chunk);
+
+    written += result.rows.length;
+    lastId = result.rows[result.rows.length - 1].id;
+    await onProgress(written);
+
+    if (result.rows.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (format === "json") {
+    await write("\n]\n");
+  }
+  return written;
+}
+
+// Adapts a writable stream (an HTTP response or file) for writeExport,
+// waiting for it to drain when its buffer is full. Fails if the stream
+// errors or closes first, e.g. when the client disconnects mid-download.
+function streamWriter(stream) {
+  return (chunk) =>
+    new Promise((resolve, reject) => {
+      if (stream.write(chunk)) {
+        return resolve();
+      }
+      const settle = (error) => {
+        stream.off("drain", settle);
+        stream.off("error", settle);
+        stream.off("close", settle);
+        if (error || stream.writableNeedDrain) {
+          return reject(error || new Error("Stream closed"));
+        }
+        resolve();
+      };
+      stream.on("drain", settle);
+      stream.on("error", settle);
+      stream.on("close", settle);
+    });
+}
+
+module.exports = {
+  EXPORT_TYPES,
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  EXPORT_INLINE_MAX_ROWS,
+  EXPORT_TTL_MS,
+  exportFilePath,
+  exportFileName,
+  countExportRows,
+  writeExport,
+  streamWriter,
+};
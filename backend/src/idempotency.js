@@ -0,0 +1,248 @@
+// Idempotency-Key support for the endpoints that create or change payment
+// objects, add team members or send test webhooks. The first request with a
+// key claims it, and its status code and body are stored and replayed for
+// every retry with that key. A key belongs to the request it was first used
+// with: reusing it for a different method, path, body or test outcome
+// header is rejected with 409. A retry that arrives while the first request
+// is still running waits for it to finish.
+
+const crypto = require("crypto");
+const { ValidationError, sendValidationError } = require("./validation");
+
+// Keys are remembered this long once their response is stored
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+const TEST_MODE = process.env.TEST_MODE === "true";
+
+// A request holds its key only this long until its response is stored. If
+// the process dies mid-request, or storing the response fails, the claim
+// lapses and a retry takes the key over instead of waiting for a day.
+const IN_PROGRESS_LEASE_MS = 60000;
+
+// How long a retry waits for the request holding its key
+const IN_PROGRESS_WAIT_MS = 10000;
+const IN_PROGRESS_POLL_MS = 100;
+
+// JSON with object keys sorted, so equal bodies always hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function requestHash(req) {
+  let request = `${req.method} ${req.originalUrl}\n${canonicalJson(req.body)}`;
+  // In test mode this header decides whether a refund fails, so a retry
+  // that changes it is a different request
+  if (TEST_MODE) {
+    request += `\n${req.headers["x-test-refund-outcome"] || ""}`;
+  }
+  return crypto.createHash("sha256").update(request).digest("hex");
+}
+
+// Inserts the key as in progress, or takes over an expired one (a stored
+// response past its TTL, or a lapsed claim). Returns the new claim's id, or
+// null if a live request or a stored response already holds the key. Writes
+// for the claim match on its id, so a request whose lease lapsed cannot
+// overwrite or free the key once a retry has taken it over.
+async function claimKey(db, key, merchantId, hash) {
+  const claimId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + IN_PROGRESS_LEASE_MS);
+  const result = await db.query(
+    `INSERT INTO idempotency_keys
+       (key, merchant_id, request_hash, claim_id, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (key, merchant_id) DO UPDATE
+       SET request_hash = EXCLUDED.request_hash,
+           claim_id = EXCLUDED.claim_id,
+           response_code = NULL,
+           response = NULL,
+           created_at = NOW(),
+           expires_at = EXCLUDED.expires_at
+       WHERE idempotency_keys.expires_at <= NOW()
+     RETURNING key`,
+    [key, merchantId, hash, claimId, expiresAt]
+  );
+  return result.rows.length > 0 ? claimId : null;
+}
+
+async function getKey(db, key, merchantId) {
+  const result = await db.query(
+    `SELECT request_hash, response_code, response FROM idempotency_keys
+     WHERE key = $1 AND merchant_id = $2 AND expires_at > NOW()`,
+    [key, merchantId]
+  );
+  return result.rows[0] || null;
+}
+
+// Frees a claimed key so the request can be retried
+async function releaseKey(db, key, merchantId, claimId) {
+  await db.query(
+    `DELETE FROM idempotency_keys
+     WHERE key = $1 AND merchant_id = $2 AND claim_id = $3`,
+    [key, merchantId, claimId]
+  );
+}
+
+function logReleaseError(error) {
+  console.error("Release idempotency key error:", error);
+}
+
+// Stores the handler's JSON response against the key before sending it, so
+// a retry made after the client has the response always finds it. Server
+// errors are not stored: the key is released and a retry runs again, as is
+// a request answered without JSON (Express's own error page). If the
+// response cannot be stored the key is released too and the client gets a
+// 500 instead of a response no retry could replay. A client that disconnects
+// early does not release the key, since the handler still runs.
+function storeResponse(db, res, key, merchantId, claimId) {
+  const json = res.json.bind(res);
+  let stored = false;
+
+  const send = (body) => {
+    try {
+      json(body);
+    } catch (error) {
+      console.error("Send idempotent response error:", error);
+    }
+  };
+
+  res.json = (body) => {
+    stored = true;
+    res.json = json;
+
+    if (res.statusCode >= 500) {
+      releaseKey(db, key, merchantId, claimId)
+        .catch(logReleaseError)
+        .then(() => send(body));
+      return res;
+    }
+
+    db.query(
+      `UPDATE idempotency_keys
+       SET response_code = $1, response = $2, expires_at = $3
+       WHERE key = $4 AND merchant_id = $5 AND claim_id = $6`,
+      [
+        res.statusCode,
+        JSON.stringify(body),
+        new Date(Date.now() + IDEMPOTENCY_KEY_TTL_MS),
+        key,
+        merchantId,
+        claimId,
+      ]
+    ).then(
+      () => send(body),
+      (error) => {
+        console.error("Store idempotent response error:", error);
+        return releaseKey(db, key, merchantId, claimId)
+          .catch(logReleaseError)
+          .then(() => {
+            res.status(500);
+            send({
+              error: {
+                code: "INTERNAL_ERROR",
+                description: "Failed to store idempotent response",
+              },
+            });
+          });
+      }
+    );
+    return res;
+  };
+
+  res.on("finish", () => {
+    if (!stored) {
+      releaseKey(db, key, merchantId, claimId).catch(logReleaseError);
+    }
+  });
+}
+
+function conflict(res, description) {
+  return res.status(409).json({
+    error: {
+      code: "CONFLICT",
+      description,
+    },
+  });
+}
+
+// Middleware for routes that accept an Idempotency-Key header. Goes after
+// authentication, since keys are scoped to the merchant, and after
+// validation, so rejected requests never use up a key. Requests without the
+// header, or with an empty one, are handled normally.
+function idempotent(db) {
+  return async (req, res, next) => {
+    const key = req.headers["idempotency-key"];
+    if (!key) {
+      return next();
+    }
+    if (key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+      return sendValidationError(
+        res,
+        new ValidationError(
+          "Idempotency-Key",
+          "too_long",
+          `Idempotency-Key must be at most ${IDEMPOTENCY_KEY_MAX_LENGTH} characters`
+        )
+      );
+    }
+
+    const merchantId = req.merchant.id;
+    const hash = requestHash(req);
+    const deadline = Date.now() + IN_PROGRESS_WAIT_MS;
+
+    try {
+      for (;;) {
+        const claimId = await claimKey(db, key, merchantId, hash);
+        if (claimId) {
+          storeResponse(db, res, key, merchantId, claimId);
+          return next();
+        }
+
+        // The key may have been released since the claim failed; then the
+        // next attempt claims it
+        const stored = await getKey(db, key, merchantId);
+        if (stored && stored.request_hash !== hash) {
+          return conflict(
+            res,
+            "Idempotency-Key was already used for a different request"
+          );
+        }
+        if (stored && stored.response_code !== null) {
+          res.set("Idempotent-Replayed", "true");
+          return res.status(stored.response_code).json(stored.response);
+        }
+
+        if (Date.now() >= deadline) {
+          return conflict(
+            res,
+            "A request with this Idempotency-Key is still in progress"
+          );
+        }
+        await new Promise((resolve) =>
+          setTimeout(resolve, IN_PROGRESS_POLL_MS)
+        );
+      }
+    } catch (error) {
+      console.error("Idempotency error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to check Idempotency-Key",
+        },
+      });
+    }
+  };
+}
+
+module.exports = {
+  idempotent,
+};
@@ -1,14 +1,75 @@
 const express = require("express");
 const cors = require("cors");
+const cookieParser = require("cookie-parser");
 const { Pool } = require("pg");
 const Redis = require("ioredis");
 const { Queue } = require("bullmq");
 const crypto = require("crypto");
+const util = require("util");
 const { v4: uuidv4 } = require("uuid");
+const {
+  CAPTURED_STATUSES,
+  PaymentStateError,
+  recordPaymentCreated,
+  transitionPayment,
+  capturePayment,
+  reopenOrder,
+  getPaymentStatusHistory,
+} = require("./paymentStates");
+const {
+  ValidationError,
+  validateRequest,
+  sendValidationError,
+  handleInvalidJson,
+  notesField,
+} = require("./validation");
+const { listQuery, dateRangeFilters, listPage } = require("./pagination");
+const { LIST_FILTERS } = require("./listFilters");
+const { STATS_INTERVALS, getStats } = require("./stats");
+const { SEARCH_TYPES, search } = require("./search");
+const { idempotent } = require("./idempotency");
+const {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  EXPORT_INLINE_MAX_ROWS,
+  EXPORT_TTL_MS,
+  exportFilePath,
+  exportFileName,
+  countExportRows,
+  writeExport,
+  streamWriter,
+} = require("./exports");
+const {
+  CURRENCIES,
+  CURRENCY_CODES,
+  getCurrency,
+  formatAmount,
+} = require("./currencies");
+
+const DASHBOARD_URL = process.env.DASHBOARD_URL || "http://localhost:3000";
+const TEST_MODE = process.env.TEST_MODE === "true";
+const COOKIE_SECURE = process.env.COOKIE_SECURE === "true";
+const SESSION_COOKIE = "gateway_session";
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const scrypt = util.promisify(crypto.scrypt);
 
 const app = express();
-app.use(cors());
+// Only the dashboard may send the session cookie; everyone else (checkout
+// widget, merchant servers) authenticates with API keys
+app.use(
+  cors((req, callback) => {
+    callback(
+      null,
+      req.header("Origin") === DASHBOARD_URL
+        ? { origin: true, credentials: true }
+        : { origin: "*" }
+    );
+  })
+);
 app.use(express.json());
+app.use(handleInvalidJson);
+app.use(cookieParser());
 
 // Database connection
 const pool = new Pool({
@@ -22,6 +83,7 @@ const redis = new Redis(process.env.REDIS_URL);
 const paymentQueue = new Queue("payment-processing", { connection: redis });
 const webhookQueue = new Queue("webhook-delivery", { connection: redis });
 const refundQueue = new Queue("refund-processing", { connection: redis });
+const exportQueue = new Queue("export-generation", { connection: redis });
 
 // Helper functions
 function generatePaymentId() {
@@ -54,6 +116,16 @@ function generateRefundId() {
   return result;
 }
 
+function generateExportId() {
+  const chars =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  let result = "exp_";
+  for (let i = 0; i < 16; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return result;
+}
+
 function generateWebhookSecret() {
   const chars =
     "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
@@ -64,11 +136,317 @@ function generateWebhookSecret() {
   return result;
 }
 
+function generatePublishableKey(mode) {
+  const chars =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  let result = `pk_${mode}_`;
+  for (let i = 0; i < 16; i++) {
+    result += chars.charAt(crypto.randomInt(chars.length));
+  }
+  return result;
+}
+
+function generateApiKey(mode) {
+  const chars =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  let result = `key_${mode}_`;
+  for (let i = 0; i < 16; i++) {
+    result += chars.charAt(crypto.randomInt(chars.length));
+  }
+  return result;
+}
+
+function generateApiSecret(mode) {
+  const chars =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  let result = `secret_${mode}_`;
+  for (let i = 0; i < 32; i++) {
+    result += chars.charAt(crypto.randomInt(chars.length));
+  }
+  return result;
+}
+
+// API secrets are long random strings, so a salted HMAC is enough to make a
+// leaked table useless without slowing down every authenticated request
+function hashApiSecret(secret) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.createHmac("sha256", salt).update(secret).digest("hex");
+  return `sha256$${salt}$${hash}`;
+}
+
+function verifyApiSecret(secret, secretHash) {
+  const [algorithm, salt, hash] = (secretHash || "").split("$");
+  if (algorithm !== "sha256" || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.createHmac("sha256", salt).update(secret).digest();
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [algorithm, salt, hash] = (passwordHash || "").split("$");
+  if (algorithm !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Only a hash of the session token is stored, so a database leak cannot be
+// replayed as a login
+function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function createSession(res, user) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  await pool.query(
+    `INSERT INTO sessions (token_hash, user_id, merchant_id, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [hashSessionToken(token), user.id, user.merchant_id, expiresAt]
+  );
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: COOKIE_SECURE,
+    expires: expiresAt,
+  });
+}
+
+// Same payload shape as the worker's enqueueWebhook; signing, delivery and
+// retries happen in the webhook worker
+async function enqueueWebhook(merchantId, event, data) {
+  const payload = {
+    event,
+    timestamp: Math.floor(Date.now() / 1000),
+    data,
+  };
+
+  await webhookQueue.add("deliver-webhook", {
+    merchantId,
+    event,
+    payload,
+  });
+}
+
+// none until a refund is processed, full once everything captured has been
+// given back. Pending and failed refunds do not count.
+function refundStatus(payment) {
+  if (payment.amount_refunded === 0) {
+    return "none";
+  }
+  return payment.amount_refunded >= payment.amount_captured
+    ? "full"
+    : "partial";
+}
+
+// Full payment representation shared by the payment and order endpoints
+function formatPayment(payment) {
+  return {
+    id: payment.id,
+    order_id: payment.order_id,
+    amount: payment.amount,
+    currency: payment.currency,
+    method: payment.method,
+    ...(payment.vpa && { vpa: payment.vpa }),
+    ...(payment.card_last4 && { card_last4: payment.card_last4 }),
+    ...(payment.card_network && { card_network: payment.card_network }),
+    ...(payment.email && { email: payment.email }),
+    status: payment.status,
+    captured: payment.captured,
+    amount_captured: payment.amount_captured,
+    amount_refunded: payment.amount_refunded,
+    refund_status: refundStatus(payment),
+    ...(payment.error_code && { error_code: payment.error_code }),
+    ...(payment.error_description && {
+      error_description: payment.error_description,
+    }),
+    notes: payment.notes,
+    created_at: payment.created_at,
+    updated_at: payment.updated_at,
+  };
+}
+
+// Refund representation shared by the refund, list and search endpoints
+function formatRefund(refund) {
+  return {
+    id: refund.id,
+    payment_id: refund.payment_id,
+    amount: refund.amount,
+    currency: refund.currency,
+    reason: refund.reason,
+    notes: refund.notes,
+    status: refund.status,
+    ...(refund.error_code && { error_code: refund.error_code }),
+    ...(refund.error_description && {
+      error_description: refund.error_description,
+    }),
+    created_at: refund.created_at,
+    ...(refund.processed_at && { processed_at: refund.processed_at }),
+  };
+}
+
+function formatExport(exp) {
+  return {
+    id: exp.id,
+    type: exp.type,
+    format: exp.format,
+    filters: exp.filters,
+    status: exp.status,
+    total_rows: exp.total_rows,
+    processed_rows: exp.processed_rows,
+    ...(exp.error_description && {
+      error_description: exp.error_description,
+    }),
+    ...(exp.status === "completed" && {
+      download_url: `/api/v1/exports/${exp.id}/download`,
+    }),
+    created_at: exp.created_at,
+    completed_at: exp.completed_at,
+    expires_at: exp.expires_at,
+  };
+}
+
+async function getOrderPayments(orderId, merchantId) {
+  const result = await pool.query(
+    `SELECT * FROM payments WHERE order_id = $1 AND merchant_id = $2
+     ORDER BY created_at ASC`,
+    [orderId, merchantId]
+  );
+  const refunds = await getRefundsByPayment(
+    result.rows.map((payment) => payment.id)
+  );
+  return result.rows.map((payment) => ({
+    ...formatPayment(payment),
+    refunds: refunds[payment.id],
+  }));
+}
+
+// Refunds of each of the given payments, oldest first, keyed by payment ID
+async function getRefundsByPayment(paymentIds) {
+  const result = await pool.query(
+    `SELECT * FROM refunds WHERE payment_id = ANY($1)
+     ORDER BY created_at ASC, id ASC`,
+    [paymentIds]
+  );
+  const refunds = Object.fromEntries(paymentIds.map((id) => [id, []]));
+  for (const refund of result.rows) {
+    refunds[refund.payment_id].push(formatRefund(refund));
+  }
+  return refunds;
+}
+
+// Merchant fields safe to attach to req.merchant
+const MERCHANT_COLUMNS =
+  "m.id, m.name, m.email, m.publishable_key, m.webhook_url, m.webhook_secret, m.capture_mode, m.authorization_expiry_minutes, m.authorization_expiry_action, m.order_expiry_minutes, m.supported_currencies, m.created_at, m.updated_at";
+
+const ALL_PERMISSIONS = [
+  "orders:create",
+  "payments:create",
+  "payments:capture",
+  "refunds:create",
+  "webhooks:manage",
+  "keys:manage",
+  "settings:manage",
+  "team:manage",
+];
+
+// Actions each role may take; every authenticated role can read
+const ROLE_PERMISSIONS = {
+  owner: ALL_PERMISSIONS,
+  admin: ALL_PERMISSIONS,
+  developer: [
+    "orders:create",
+    "payments:create",
+    "webhooks:manage",
+    "keys:manage",
+  ],
+  support: ["refunds:create"],
+  read_only: [],
+  // API keys are server-to-server credentials: full payment access, but
+  // team membership is only managed from dashboard sessions
+  api_key: ALL_PERMISSIONS.filter((permission) => permission !== "team:manage"),
+  publishable: ["payments:create"],
+};
+
+const TEAM_ROLES = ["owner", "admin", "developer", "support", "read_only"];
+
+// automatic: the worker captures as soon as the payment is authorized
+const CAPTURE_MODES = ["automatic", "manual"];
+
+// What the expiry job does with authorizations left uncaptured too long
+const AUTHORIZATION_EXPIRY_ACTIONS = ["capture", "void"];
+
+// Field schemas reused across routes; see validation.js
+const emailField = {
+  type: "string",
+  required: true,
+  maxLength: 255,
+  pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  formatDescription: "email must be a valid email address",
+};
+const passwordField = {
+  type: "string",
+  required: true,
+  minLength: 8,
+  maxLength: 128,
+};
+const expiryMinutesField = { type: "integer", min: 1, max: 30 * 24 * 60 };
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!(ROLE_PERMISSIONS[req.role] || []).includes(permission)) {
+      return res.status(403).json({
+        error: {
+          code: "FORBIDDEN",
+          description: "Your role does not allow this action",
+        },
+      });
+    }
+    next();
+  };
+}
+
+// Honours the Idempotency-Key header on routes that create or change
+// payment objects; goes after validateRequest
+const idempotentRequest = idempotent(pool);
+
+// Routes the checkout widget may call with only a publishable key
+const PUBLISHABLE_KEY_ROUTES = [
+  "GET /api/v1/orders/:orderId",
+  "POST /api/v1/payments",
+  "GET /api/v1/payments/:paymentId",
+];
+
 // Authentication middleware
 async function authenticateMerchant(req, res, next) {
   const apiKey = req.headers["x-api-key"];
   const apiSecret = req.headers["x-api-secret"];
 
+  if (apiKey && !apiSecret) {
+    return authenticatePublishableKey(req, res, next);
+  }
+
+  if (!apiKey && !apiSecret && req.cookies[SESSION_COOKIE]) {
+    return authenticateSession(req, res, next);
+  }
+
   if (!apiKey || !apiSecret) {
     return res.status(401).json({
       error: {
@@ -80,11 +458,17 @@ async function authenticateMerchant(req, res, next) {
 
   try {
     const result = await pool.query(
-      "SELECT * FROM merchants WHERE api_key = $1 AND api_secret = $2",
-      [apiKey, apiSecret]
+      `SELECT ${MERCHANT_COLUMNS}, k.id AS api_key_id, k.api_key, k.mode AS api_key_mode, k.secret_hash
+       FROM api_keys k
+       JOIN merchants m ON k.merchant_id = m.id
+       WHERE k.api_key = $1 AND k.revoked_at IS NULL`,
+      [apiKey]
     );
 
-    if (result.rows.length === 0) {
+    if (
+      result.rows.length === 0 ||
+      !verifyApiSecret(apiSecret, result.rows[0].secret_hash)
+    ) {
       return res.status(401).json({
         error: {
           code: "UNAUTHORIZED",
@@ -93,7 +477,17 @@ async function authenticateMerchant(req, res, next) {
       });
     }
 
-    req.merchant = result.rows[0];
+    // Only touch last_used_at once a minute to keep auth cheap
+    await pool.query(
+      `UPDATE api_keys SET last_used_at = NOW()
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+      [result.rows[0].api_key_id]
+    );
+
+    const { secret_hash, ...merchant } = result.rows[0];
+    req.merchant = merchant;
+    req.publishable = false;
+    req.role = "api_key";
     next();
   } catch (error) {
     console.error("Auth error:", error);
@@ -106,715 +500,1988 @@ async function authenticateMerchant(req, res, next) {
   }
 }
 
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({ status: "healthy", timestamp: new Date().toISOString() });
-});
-
-// Create Order
-app.post("/api/v1/orders", authenticateMerchant, async (req, res) => {
+// Publishable keys are safe to ship to browsers, so they only unlock the
+// routes the checkout widget needs
+async function authenticatePublishableKey(req, res, next) {
   try {
-    const { amount, currency = "INR", receipt } = req.body;
+    const result = await pool.query(
+      `SELECT ${MERCHANT_COLUMNS} FROM merchants m WHERE m.publishable_key = $1`,
+      [req.headers["x-api-key"]]
+    );
 
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
+    if (result.rows.length === 0) {
+      return res.status(401).json({
         error: {
-          code: "BAD_REQUEST_ERROR",
-          description: "Invalid amount",
+          code: "UNAUTHORIZED",
+          description: "Invalid API credentials",
         },
       });
     }
 
-    const orderId = generateOrderId();
-    const now = new Date().toISOString();
-
-    await pool.query(
-      `INSERT INTO orders (id, merchant_id, amount, currency, receipt, status, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, 'created', $6, $6)`,
-      [orderId, req.merchant.id, amount, currency, receipt, now]
-    );
+    if (!PUBLISHABLE_KEY_ROUTES.includes(`${req.method} ${req.route.path}`)) {
+      return res.status(403).json({
+        error: {
+          code: "FORBIDDEN",
+          description: "Publishable key cannot access this resource",
+        },
+      });
+    }
 
-    res.status(201).json({
-      id: orderId,
-      amount,
-      currency,
-      receipt,
-      status: "created",
-      created_at: now,
-    });
+    req.merchant = result.rows[0];
+    req.publishable = true;
+    req.role = "publishable";
+    next();
   } catch (error) {
-    console.error("Create order error:", error);
+    console.error("Auth error:", error);
     res.status(500).json({
       error: {
         code: "INTERNAL_ERROR",
-        description: "Failed to create order",
+        description: "Authentication failed",
       },
     });
   }
-});
+}
 
-// Get Order
-app.get("/api/v1/orders/:orderId", authenticateMerchant, async (req, res) => {
+// Dashboard logins authenticate with a session cookie instead of API keys
+async function authenticateSession(req, res, next) {
   try {
     const result = await pool.query(
-      "SELECT * FROM orders WHERE id = $1 AND merchant_id = $2",
-      [req.params.orderId, req.merchant.id]
+      `SELECT ${MERCHANT_COLUMNS}, u.id AS user_id, u.name AS user_name, u.email AS user_email, u.role AS user_role
+       FROM sessions s
+       JOIN merchant_users u ON s.user_id = u.id
+       JOIN merchants m ON s.merchant_id = m.id
+       WHERE s.token_hash = $1 AND s.expires_at > NOW()`,
+      [hashSessionToken(req.cookies[SESSION_COOKIE])]
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
+      return res.status(401).json({
         error: {
-          code: "NOT_FOUND",
-          description: "Order not found",
+          code: "UNAUTHORIZED",
+          description: "Session expired",
         },
       });
     }
 
-    const order = result.rows[0];
-    res.json({
-      id: order.id,
-      amount: order.amount,
-      currency: order.currency,
-      receipt: order.receipt,
-      status: order.status,
-      created_at: order.created_at,
-    });
+    const { user_id, user_name, user_email, user_role, ...merchant } =
+      result.rows[0];
+    req.merchant = merchant;
+    req.user = {
+      id: user_id,
+      name: user_name,
+      email: user_email,
+      role: user_role,
+    };
+    req.publishable = false;
+    req.role = user_role;
+    next();
   } catch (error) {
-    console.error("Get order error:", error);
+    console.error("Auth error:", error);
     res.status(500).json({
       error: {
         code: "INTERNAL_ERROR",
-        description: "Failed to get order",
+        description: "Authentication failed",
       },
     });
   }
+}
+
+// Health check endpoint
+app.get("/health", (req, res) => {
+  res.json({ status: "healthy", timestamp: new Date().toISOString() });
 });
 
-// Create Payment
-app.post("/api/v1/payments", authenticateMerchant, async (req, res) => {
-  try {
-    const idempotencyKey = req.headers["idempotency-key"];
+// List Currencies
+// Public so the dashboard and checkout can format amounts before logging in
+app.get("/api/v1/currencies", validateRequest(), (req, res) => {
+  res.json({ data: Object.values(CURRENCIES) });
+});
+
+// Body returned by register, login and /auth/me, so the dashboard gets the
+// same session (including the role's permissions) whichever it called
+function sessionBody(merchant, user, role) {
+  return {
+    merchant: { id: merchant.id, name: merchant.name, email: merchant.email },
+    user: user && {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+    },
+    role,
+    permissions: ROLE_PERMISSIONS[role],
+  };
+}
+
+// Register Merchant
+app.post(
+  "/api/v1/auth/register",
+  validateRequest({
+    body: {
+      name: { type: "string", required: true, minLength: 1, maxLength: 255 },
+      email: emailField,
+      password: passwordField,
+    },
+  }),
+  async (req, res) => {
+    const { name, email, password } = req.body;
 
-    // Check idempotency key
-    if (idempotencyKey) {
-      const cachedResult = await pool.query(
-        `SELECT * FROM idempotency_keys 
-         WHERE key = $1 AND merchant_id = $2 AND expires_at > NOW()`,
-        [idempotencyKey, req.merchant.id]
+    const client = await pool.connect();
+    try {
+      const normalizedEmail = email.toLowerCase();
+      const existing = await client.query(
+        `SELECT 1 FROM merchants WHERE email = $1
+       UNION SELECT 1 FROM merchant_users WHERE email = $1`,
+        [normalizedEmail]
       );
 
-      if (cachedResult.rows.length > 0) {
-        return res.status(201).json(cachedResult.rows[0].response);
+      if (existing.rows.length > 0) {
+        return res.status(409).json({
+          error: {
+            code: "CONFLICT",
+            description: "Email already registered",
+          },
+        });
       }
 
-      // Delete expired key if exists
-      await pool.query(
-        "DELETE FROM idempotency_keys WHERE key = $1 AND merchant_id = $2",
-        [idempotencyKey, req.merchant.id]
+      const passwordHash = await hashPassword(password);
+
+      await client.query("BEGIN");
+      const merchantResult = await client.query(
+        `INSERT INTO merchants (name, email, publishable_key, webhook_secret)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+        [
+          name,
+          normalizedEmail,
+          generatePublishableKey("test"),
+          generateWebhookSecret(),
+        ]
       );
-    }
+      const merchant = merchantResult.rows[0];
 
-    const { order_id, method, vpa, card_number, card_expiry, card_cvv } =
-      req.body;
+      const userResult = await client.query(
+        `INSERT INTO merchant_users (merchant_id, name, email, password_hash, role)
+       VALUES ($1, $2, $3, $4, 'owner') RETURNING *`,
+        [merchant.id, name, normalizedEmail, passwordHash]
+      );
+      await client.query("COMMIT");
 
-    if (!order_id || !method) {
-      return res.status(400).json({
-        error: {
-          code: "BAD_REQUEST_ERROR",
-          description: "Missing required fields",
+      await createSession(res, userResult.rows[0]);
+
+      const user = userResult.rows[0];
+      const body = sessionBody(merchant, user, user.role);
+      res.status(201).json({
+        ...body,
+        merchant: {
+          ...body.merchant,
+          publishable_key: merchant.publishable_key,
+          created_at: merchant.created_at,
         },
       });
-    }
+    } catch (error) {
+      await client.query("ROLLBACK");
 
-    // Validate order exists and belongs to merchant
-    const orderResult = await pool.query(
-      "SELECT * FROM orders WHERE id = $1 AND merchant_id = $2",
-      [order_id, req.merchant.id]
-    );
+      // Lost a race with a concurrent signup for the same email
+      if (error.code === "23505") {
+        return res.status(409).json({
+          error: {
+            code: "CONFLICT",
+            description: "Email already registered",
+          },
+        });
+      }
 
-    if (orderResult.rows.length === 0) {
-      return res.status(400).json({
+      console.error("Register error:", error);
+      res.status(500).json({
         error: {
-          code: "BAD_REQUEST_ERROR",
-          description: "Order not found",
+          code: "INTERNAL_ERROR",
+          description: "Failed to register merchant",
         },
       });
+    } finally {
+      client.release();
     }
+  }
+);
+
+// Login
+app.post(
+  "/api/v1/auth/login",
+  validateRequest({
+    body: {
+      email: { type: "string", required: true, minLength: 1, maxLength: 255 },
+      password: {
+        type: "string",
+        required: true,
+        minLength: 1,
+        maxLength: 128,
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { email, password } = req.body;
 
-    const order = orderResult.rows[0];
+      const result = await pool.query(
+        `SELECT u.*, m.name AS merchant_name, m.email AS merchant_email
+       FROM merchant_users u
+       JOIN merchants m ON u.merchant_id = m.id
+       WHERE u.email = $1`,
+        [email.toLowerCase()]
+      );
+      const user = result.rows[0];
 
-    // Validate payment method
-    if (!["upi", "card"].includes(method)) {
-      return res.status(400).json({
-        error: {
-          code: "BAD_REQUEST_ERROR",
-          description: "Invalid payment method",
-        },
-      });
-    }
+      if (!user || !(await verifyPassword(password, user.password_hash))) {
+        return res.status(401).json({
+          error: {
+            code: "UNAUTHORIZED",
+            description: "Invalid email or password",
+          },
+        });
+      }
 
-    if (method === "upi" && !vpa) {
-      return res.status(400).json({
+      await pool.query(
+        "UPDATE merchant_users SET last_login_at = NOW() WHERE id = $1",
+        [user.id]
+      );
+      await createSession(res, user);
+
+      res.json(
+        sessionBody(
+          {
+            id: user.merchant_id,
+            name: user.merchant_name,
+            email: user.merchant_email,
+          },
+          user,
+          user.role
+        )
+      );
+    } catch (error) {
+      console.error("Login error:", error);
+      res.status(500).json({
         error: {
-          code: "BAD_REQUEST_ERROR",
-          description: "VPA is required for UPI payments",
+          code: "INTERNAL_ERROR",
+          description: "Failed to log in",
         },
       });
     }
+  }
+);
+
+// Logout
+app.post(
+  "/api/v1/auth/logout",
+  validateRequest({ body: {} }),
+  async (req, res) => {
+    try {
+      const token = req.cookies[SESSION_COOKIE];
+
+      if (token) {
+        await pool.query("DELETE FROM sessions WHERE token_hash = $1", [
+          hashSessionToken(token),
+        ]);
+      }
 
-    if (method === "card" && (!card_number || !card_expiry || !card_cvv)) {
-      return res.status(400).json({
+      res.clearCookie(SESSION_COOKIE, {
+        httpOnly: true,
+        sameSite: "lax",
+        secure: COOKIE_SECURE,
+      });
+      res.json({ message: "Logged out" });
+    } catch (error) {
+      console.error("Logout error:", error);
+      res.status(500).json({
         error: {
-          code: "BAD_REQUEST_ERROR",
-          description: "Card details are required for card payments",
+          code: "INTERNAL_ERROR",
+          description: "Failed to log out",
         },
       });
     }
+  }
+);
 
-    const paymentId = generatePaymentId();
-    const now = new Date().toISOString();
-
-    let cardLast4 = null;
-    let cardNetwork = null;
+// Current Session
+app.get(
+  "/api/v1/auth/me",
+  authenticateMerchant,
+  validateRequest(),
+  async (req, res) => {
+    res.json(sessionBody(req.merchant, req.user || null, req.role));
+  }
+);
 
-    if (method === "card") {
-      cardLast4 = card_number.slice(-4);
-      cardNetwork = card_number.startsWith("4")
-        ? "visa"
-        : card_number.startsWith("5")
-        ? "mastercard"
-        : "unknown";
-    }
+// Query string for an export: the list's filters plus the file format.
+// background forces a background export even for a few rows.
+function exportQuery(type) {
+  return {
+    format: { type: "string", enum: EXPORT_FORMATS, default: "csv" },
+    background: { type: "boolean", default: false },
+    ...LIST_FILTERS[type].query,
+  };
+}
 
-    await pool.query(
-      `INSERT INTO payments (id, order_id, merchant_id, amount, currency, method, vpa, card_last4, card_network, status, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', $10, $10)`,
-      [
-        paymentId,
-        order_id,
-        req.merchant.id,
-        order.amount,
-        order.currency,
-        method,
-        vpa,
-        cardLast4,
-        cardNetwork,
-        now,
-      ]
-    );
+// Streams the export straight back when it is small, otherwise queues it for
+// the worker and responds 202 with the export to poll
+function exportList(type) {
+  return async (req, res) => {
+    const { format, background, ...filters } = req.query;
+    const exportInput = { type, format, merchantId: req.merchant.id, filters };
 
-    // Enqueue payment processing job
-    await paymentQueue.add(
-      "process-payment",
-      { paymentId },
-      {
-        attempts: 3,
-        backoff: { type: "exponential", delay: 1000 },
+    try {
+      const total = await countExportRows(pool, exportInput);
+
+      if (!background && total <= EXPORT_INLINE_MAX_ROWS) {
+        res.set({
+          "Content-Type": EXPORT_CONTENT_TYPES[format],
+          "Content-Disposition": `attachment; filename="${exportFileName(
+            type,
+            format
+          )}"`,
+        });
+        await writeExport(pool, exportInput, streamWriter(res));
+        return res.end();
       }
-    );
-
-    const response = {
-      id: paymentId,
-      order_id,
-      amount: order.amount,
-      currency: order.currency,
-      method,
-      ...(method === "upi" && { vpa }),
-      ...(method === "card" && {
-        card_last4: cardLast4,
-        card_network: cardNetwork,
-      }),
-      status: "pending",
-      created_at: now,
-    };
 
-    // Store idempotency key
-    if (idempotencyKey) {
-      const expiresAt = new Date(
-        Date.now() + 24 * 60 * 60 * 1000
-      ).toISOString();
-      await pool.query(
-        `INSERT INTO idempotency_keys (key, merchant_id, response, expires_at)
-         VALUES ($1, $2, $3, $4)`,
-        [idempotencyKey, req.merchant.id, JSON.stringify(response), expiresAt]
+      const exportId = generateExportId();
+      const result = await pool.query(
+        `INSERT INTO exports (id, merchant_id, type, format, filters, total_rows, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          exportId,
+          req.merchant.id,
+          type,
+          format,
+          JSON.stringify(filters),
+          total,
+          new Date(Date.now() + EXPORT_TTL_MS).toISOString(),
+        ]
       );
+      await exportQueue.add("generate-export", { exportId });
+
+      res.status(202).json(formatExport(result.rows[0]));
+    } catch (error) {
+      console.error(`Export ${type} error:`, error);
+      // Too late for an error response once the file has started
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: `Failed to export ${type}`,
+        },
+      });
     }
+  };
+}
 
-    res.status(201).json(response);
-  } catch (error) {
-    console.error("Create payment error:", error);
-    res.status(500).json({
-      error: {
-        code: "INTERNAL_ERROR",
-        description: "Failed to create payment",
-      },
-    });
-  }
-});
+// Export routes are registered ahead of the /:id routes so "export" is not
+// taken for an ID
 
-// Get Payment
+// Export Orders
 app.get(
-  "/api/v1/payments/:paymentId",
+  "/api/v1/orders/export",
   authenticateMerchant,
+  validateRequest({ query: exportQuery("orders") }),
+  exportList("orders")
+);
+
+// Export Payments
+app.get(
+  "/api/v1/payments/export",
+  authenticateMerchant,
+  validateRequest({ query: exportQuery("payments") }),
+  exportList("payments")
+);
+
+// Export Refunds
+app.get(
+  "/api/v1/refunds/export",
+  authenticateMerchant,
+  validateRequest({ query: exportQuery("refunds") }),
+  exportList("refunds")
+);
+
+// Get Export
+app.get(
+  "/api/v1/exports/:exportId",
+  authenticateMerchant,
+  validateRequest(),
   async (req, res) => {
     try {
       const result = await pool.query(
-        "SELECT * FROM payments WHERE id = $1 AND merchant_id = $2",
-        [req.params.paymentId, req.merchant.id]
+        "SELECT * FROM exports WHERE id = $1 AND merchant_id = $2",
+        [req.params.exportId, req.merchant.id]
       );
 
       if (result.rows.length === 0) {
         return res.status(404).json({
           error: {
             code: "NOT_FOUND",
-            description: "Payment not found",
+            description: "Export not found",
           },
         });
       }
 
-      const payment = result.rows[0];
-      res.json({
-        id: payment.id,
-        order_id: payment.order_id,
-        amount: payment.amount,
-        currency: payment.currency,
-        method: payment.method,
-        ...(payment.vpa && { vpa: payment.vpa }),
-        ...(payment.card_last4 && { card_last4: payment.card_last4 }),
-        ...(payment.card_network && { card_network: payment.card_network }),
-        status: payment.status,
-        captured: payment.captured,
-        ...(payment.error_code && { error_code: payment.error_code }),
-        ...(payment.error_description && {
-          error_description: payment.error_description,
-        }),
-        created_at: payment.created_at,
-        updated_at: payment.updated_at,
-      });
+      res.json(formatExport(result.rows[0]));
     } catch (error) {
-      console.error("Get payment error:", error);
+      console.error("Get export error:", error);
       res.status(500).json({
         error: {
           code: "INTERNAL_ERROR",
-          description: "Failed to get payment",
+          description: "Failed to get export",
         },
       });
     }
   }
 );
 
-// Capture Payment
-app.post(
-  "/api/v1/payments/:paymentId/capture",
+// Download Export
+app.get(
+  "/api/v1/exports/:exportId/download",
   authenticateMerchant,
+  validateRequest(),
   async (req, res) => {
     try {
-      const { amount } = req.body;
-
       const result = await pool.query(
-        "SELECT * FROM payments WHERE id = $1 AND merchant_id = $2",
-        [req.params.paymentId, req.merchant.id]
+        "SELECT * FROM exports WHERE id = $1 AND merchant_id = $2",
+        [req.params.exportId, req.merchant.id]
       );
 
       if (result.rows.length === 0) {
         return res.status(404).json({
           error: {
             code: "NOT_FOUND",
-            description: "Payment not found",
+            description: "Export not found",
           },
         });
       }
 
-      const payment = result.rows[0];
-
-      if (payment.status !== "success") {
+      const exp = result.rows[0];
+      if (exp.status !== "completed") {
         return res.status(400).json({
           error: {
             code: "BAD_REQUEST_ERROR",
-            description: "Payment not in capturable state",
+            description:
+              exp.status === "expired"
+                ? "Export has expired"
+                : "Export is not ready yet",
           },
         });
       }
 
-      if (payment.captured) {
-        return res.status(400).json({
-          error: {
-            code: "BAD_REQUEST_ERROR",
-            description: "Payment already captured",
-          },
-        });
+      res.download(
+        exportFilePath(exp.id, exp.format),
+        exportFileName(exp.type, exp.format),
+        (error) => {
+          if (!error) {
+            return;
+          }
+          console.error("Download export error:", error);
+          if (!res.headersSent) {
+            res.status(500).json({
+              error: {
+                code: "INTERNAL_ERROR",
+                description: "Failed to download export",
+              },
+            });
+          }
+        }
+      );
+    } catch (error) {
+      console.error("Download export error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to download export",
+        },
+      });
+    }
+  }
+);
+
+// Create Order
+app.post(
+  "/api/v1/orders",
+  authenticateMerchant,
+  requirePermission("orders:create"),
+  validateRequest({
+    body: {
+      amount: { type: "integer", required: true, min: 1 },
+      currency: { type: "string", enum: CURRENCY_CODES },
+      receipt: { type: "string", maxLength: 255, nullable: true },
+      capture_mode: { type: "string", enum: CAPTURE_MODES },
+      notes: notesField,
+    },
+  }),
+  idempotentRequest,
+  async (req, res) => {
+    try {
+      const { amount, receipt, capture_mode, notes } = req.body;
+      // The first supported currency is the merchant's default
+      const currency =
+        req.body.currency || req.merchant.supported_currencies[0];
+
+      if (!req.merchant.supported_currencies.includes(currency)) {
+        return sendValidationError(
+          res,
+          new ValidationError(
+            "currency",
+            "unsupported_currency",
+            `${currency} is not enabled for this merchant`
+          )
+        );
       }
 
+      const { min_amount, max_amount } = getCurrency(currency);
+      if (amount < min_amount || amount > max_amount) {
+        return sendValidationError(
+          res,
+          new ValidationError(
+            "amount",
+            "out_of_range",
+            `amount must be between ${min_amount} and ${max_amount} for ${currency} (${formatAmount(
+              min_amount,
+              currency
+            )} to ${formatAmount(max_amount, currency)})`
+          )
+        );
+      }
+
+      const orderId = generateOrderId();
       const now = new Date().toISOString();
+      // Fixed at creation so later settings changes do not affect the order
+      const captureMode = capture_mode || req.merchant.capture_mode;
+
       await pool.query(
-        "UPDATE payments SET captured = TRUE, updated_at = $1 WHERE id = $2",
-        [now, req.params.paymentId]
+        `INSERT INTO orders (id, merchant_id, amount, currency, receipt, notes, capture_mode, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'created', $8, $8)`,
+        [
+          orderId,
+          req.merchant.id,
+          amount,
+          currency,
+          receipt,
+          JSON.stringify(notes),
+          captureMode,
+          now,
+        ]
       );
 
-      res.json({
-        id: payment.id,
-        order_id: payment.order_id,
-        amount: payment.amount,
-        currency: payment.currency,
-        method: payment.method,
-        status: payment.status,
-        captured: true,
-        created_at: payment.created_at,
-        updated_at: now,
+      res.status(201).json({
+        id: orderId,
+        amount,
+        currency,
+        receipt,
+        notes,
+        capture_mode: captureMode,
+        status: "created",
+        created_at: now,
       });
     } catch (error) {
-      console.error("Capture payment error:", error);
+      console.error("Create order error:", error);
       res.status(500).json({
         error: {
           code: "INTERNAL_ERROR",
-          description: "Failed to capture payment",
+          description: "Failed to create order",
         },
       });
     }
   }
 );
 
-// Create Refund
-app.post(
-  "/api/v1/payments/:paymentId/refunds",
+// Get Order
+app.get(
+  "/api/v1/orders/:orderId",
   authenticateMerchant,
+  validateRequest({
+    query: {
+      expand: { type: "array", items: { type: "string", enum: ["payments"] } },
+    },
+  }),
   async (req, res) => {
     try {
-      const { amount, reason } = req.body;
-      const paymentId = req.params.paymentId;
+      const result = await pool.query(
+        "SELECT * FROM orders WHERE id = $1 AND merchant_id = $2",
+        [req.params.orderId, req.merchant.id]
+      );
 
-      // Get payment
-      const paymentResult = await pool.query(
-        "SELECT * FROM payments WHERE id = $1 AND merchant_id = $2",
-        [paymentId, req.merchant.id]
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: {
+            code: "NOT_FOUND",
+            description: "Order not found",
+          },
+        });
+      }
+
+      const order = result.rows[0];
+
+      // The checkout widget only needs what it shows to the shopper
+      if (req.publishable) {
+        return res.json({
+          id: order.id,
+          amount: order.amount,
+          currency: order.currency,
+          status: order.status,
+        });
+      }
+
+      // expand[]=payments embeds every payment attempt, failed ones included
+      const expand = req.query.expand || [];
+
+      res.json({
+        id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        receipt: order.receipt,
+        notes: order.notes,
+        capture_mode: order.capture_mode,
+        status: order.status,
+        created_at: order.created_at,
+        ...(expand.includes("payments") && {
+          payments: await getOrderPayments(order.id, req.merchant.id),
+        }),
+      });
+    } catch (error) {
+      console.error("Get order error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to get order",
+        },
+      });
+    }
+  }
+);
+
+// List Order Payments
+app.get(
+  "/api/v1/orders/:orderId/payments",
+  authenticateMerchant,
+  validateRequest(),
+  async (req, res) => {
+    try {
+      const orderResult = await pool.query(
+        "SELECT id FROM orders WHERE id = $1 AND merchant_id = $2",
+        [req.params.orderId, req.merchant.id]
       );
 
-      if (paymentResult.rows.length === 0) {
+      if (orderResult.rows.length === 0) {
         return res.status(404).json({
           error: {
             code: "NOT_FOUND",
-            description: "Payment not found",
+            description: "Order not found",
           },
         });
       }
 
-      const payment = paymentResult.rows[0];
+      res.json({
+        data: await getOrderPayments(req.params.orderId, req.merchant.id),
+      });
+    } catch (error) {
+      console.error("List order payments error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to list order payments",
+        },
+      });
+    }
+  }
+);
+
+// Create Payment
+app.post(
+  "/api/v1/payments",
+  authenticateMerchant,
+  requirePermission("payments:create"),
+  validateRequest({
+    body: {
+      order_id: { type: "string", required: true, minLength: 1, maxLength: 64 },
+      method: { type: "string", required: true, enum: ["upi", "card"] },
+      vpa: {
+        type: "string",
+        maxLength: 255,
+        pattern: /^[\w.-]+@[\w.-]+$/,
+        formatDescription: "vpa must look like name@bank",
+      },
+      card_number: {
+        type: "string",
+        pattern: /^\d{12,19}$/,
+        formatDescription: "card_number must be 12 to 19 digits",
+      },
+      card_expiry: {
+        type: "string",
+        pattern: /^(0[1-9]|1[0-2])\/\d{2}$/,
+        formatDescription: "card_expiry must be in MM/YY format",
+      },
+      card_cvv: {
+        type: "string",
+        pattern: /^\d{3,4}$/,
+        formatDescription: "card_cvv must be 3 or 4 digits",
+      },
+      // Customer contact, so support can find the payment later
+      email: { ...emailField, required: false },
+      notes: notesField,
+    },
+  }),
+  idempotentRequest,
+  async (req, res) => {
+    try {
+      const {
+        order_id,
+        method,
+        vpa,
+        card_number,
+        card_expiry,
+        card_cvv,
+        email,
+        notes,
+      } = req.body;
+
+      // Validate order exists and belongs to merchant
+      const orderResult = await pool.query(
+        "SELECT * FROM orders WHERE id = $1 AND merchant_id = $2",
+        [order_id, req.merchant.id]
+      );
 
-      if (payment.status !== "success") {
+      if (orderResult.rows.length === 0) {
         return res.status(400).json({
           error: {
             code: "BAD_REQUEST_ERROR",
-            description: "Only successful payments can be refunded",
+            description: "Order not found",
           },
         });
       }
 
-      // Calculate total refunded
-      const refundedResult = await pool.query(
-        `SELECT COALESCE(SUM(amount), 0) as total_refunded 
-       FROM refunds WHERE payment_id = $1`,
-        [paymentId]
-      );
+      const order = orderResult.rows[0];
 
-      const totalRefunded = parseInt(refundedResult.rows[0].total_refunded);
-      const availableAmount = payment.amount - totalRefunded;
+      if (method === "upi" && !vpa) {
+        return res.status(400).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: "VPA is required for UPI payments",
+          },
+        });
+      }
 
-      if (!amount || amount <= 0) {
+      if (method === "card" && (!card_number || !card_expiry || !card_cvv)) {
         return res.status(400).json({
           error: {
             code: "BAD_REQUEST_ERROR",
-            description: "Invalid refund amount",
+            description: "Card details are required for card payments",
           },
         });
       }
 
-      if (amount > availableAmount) {
+      if (order.status === "paid") {
         return res.status(400).json({
           error: {
             code: "BAD_REQUEST_ERROR",
-            description: "Refund amount exceeds available amount",
+            description: "Order already paid",
           },
         });
       }
 
-      const refundId = generateRefundId();
+      if (order.status === "expired") {
+        return res.status(400).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: "Order has expired",
+          },
+        });
+      }
+
+      const paymentId = generatePaymentId();
       const now = new Date().toISOString();
 
-      await pool.query(
-        `INSERT INTO refunds (id, payment_id, merchant_id, amount, reason, status, created_at)
-       VALUES ($1, $2, $3, $4, $5, 'pending', $6)`,
-        [refundId, paymentId, req.merchant.id, amount, reason, now]
-      );
+      let cardLast4 = null;
+      let cardNetwork = null;
 
-      // Enqueue refund processing job
-      await refundQueue.add(
-        "process-refund",
-        { refundId },
+      if (method === "card") {
+        cardLast4 = card_number.slice(-4);
+        cardNetwork = card_number.startsWith("4")
+          ? "visa"
+          : card_number.startsWith("5")
+          ? "mastercard"
+          : "unknown";
+      }
+
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        await client.query(
+          `INSERT INTO payments (id, order_id, merchant_id, amount, currency, method, vpa, card_last4, card_network, email, notes, status, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'created', $12, $12)`,
+          [
+            paymentId,
+            order_id,
+            req.merchant.id,
+            order.amount,
+            order.currency,
+            method,
+            vpa,
+            cardLast4,
+            cardNetwork,
+            email,
+            JSON.stringify(notes),
+            now,
+          ]
+        );
+        await recordPaymentCreated(client, paymentId);
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      // Enqueue payment processing job
+      await paymentQueue.add(
+        "process-payment",
+        { paymentId },
         {
           attempts: 3,
           backoff: { type: "exponential", delay: 1000 },
         }
       );
 
-      res.status(201).json({
-        id: refundId,
-        payment_id: paymentId,
-        amount,
-        reason,
-        status: "pending",
+      const response = {
+        id: paymentId,
+        order_id,
+        amount: order.amount,
+        currency: order.currency,
+        method,
+        ...(method === "upi" && { vpa }),
+        ...(method === "card" && {
+          card_last4: cardLast4,
+          card_network: cardNetwork,
+        }),
+        ...(email && { email }),
+        notes,
+        status: "created",
         created_at: now,
-      });
+      };
+
+      res.status(201).json(response);
     } catch (error) {
-      console.error("Create refund error:", error);
+      console.error("Create payment error:", error);
       res.status(500).json({
         error: {
           code: "INTERNAL_ERROR",
-          description: "Failed to create refund",
+          description: "Failed to create payment",
         },
       });
     }
   }
 );
 
-// Get Refund
-app.get("/api/v1/refunds/:refundId", authenticateMerchant, async (req, res) => {
-  try {
-    const result = await pool.query(
-      "SELECT * FROM refunds WHERE id = $1 AND merchant_id = $2",
-      [req.params.refundId, req.merchant.id]
-    );
+// Get Payment
+app.get(
+  "/api/v1/payments/:paymentId",
+  authenticateMerchant,
+  validateRequest(),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM payments WHERE id = $1 AND merchant_id = $2",
+        [req.params.paymentId, req.merchant.id]
+      );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: {
+            code: "NOT_FOUND",
+            description: "Payment not found",
+          },
+        });
+      }
+
+      const payment = result.rows[0];
+
+      // Enough for the checkout widget to poll the payment outcome
+      if (req.publishable) {
+        return res.json({
+          id: payment.id,
+          order_id: payment.order_id,
+          status: payment.status,
+          ...(payment.error_description && {
+            error_description: payment.error_description,
+          }),
+        });
+      }
+
+      const refunds = await getRefundsByPayment([payment.id]);
+      res.json({
+        ...formatPayment(payment),
+        refunds: refunds[payment.id],
+        status_history: await getPaymentStatusHistory(pool, payment.id),
+      });
+    } catch (error) {
+      console.error("Get payment error:", error);
+      res.status(500).json({
         error: {
-          code: "NOT_FOUND",
-          description: "Refund not found",
+          code: "INTERNAL_ERROR",
+          description: "Failed to get payment",
         },
       });
     }
-
-    const refund = result.rows[0];
-    res.json({
-      id: refund.id,
-      payment_id: refund.payment_id,
-      amount: refund.amount,
-      reason: refund.reason,
-      status: refund.status,
-      created_at: refund.created_at,
-      ...(refund.processed_at && { processed_at: refund.processed_at }),
-    });
-  } catch (error) {
-    console.error("Get refund error:", error);
-    res.status(500).json({
-      error: {
-        code: "INTERNAL_ERROR",
-        description: "Failed to get refund",
-      },
-    });
-  }
-});
-
-// List Webhook Logs
-app.get("/api/v1/webhooks", authenticateMerchant, async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = parseInt(req.query.offset) || 0;
-
-    const result = await pool.query(
-      `SELECT * FROM webhook_logs 
-       WHERE merchant_id = $1 
-       ORDER BY created_at DESC 
-       LIMIT $2 OFFSET $3`,
-      [req.merchant.id, limit, offset]
-    );
-
-    const countResult = await pool.query(
-      "SELECT COUNT(*) as total FROM webhook_logs WHERE merchant_id = $1",
-      [req.merchant.id]
-    );
-
-    res.json({
-      data: result.rows.map((log) => ({
-        id: log.id,
-        event: log.event,
-        status: log.status,
-        attempts: log.attempts,
-        created_at: log.created_at,
-        last_attempt_at: log.last_attempt_at,
-        response_code: log.response_code,
-      })),
-      total: parseInt(countResult.rows[0].total),
-      limit,
-      offset,
-    });
-  } catch (error) {
-    console.error("List webhooks error:", error);
-    res.status(500).json({
-      error: {
-        code: "INTERNAL_ERROR",
-        description: "Failed to list webhooks",
-      },
-    });
   }
-});
+);
 
-// Retry Webhook
+// Capture Payment
 app.post(
-  "/api/v1/webhooks/:webhookId/retry",
+  "/api/v1/payments/:paymentId/capture",
   authenticateMerchant,
+  requirePermission("payments:capture"),
+  validateRequest({
+    body: {
+      amount: { type: "integer", min: 1 },
+      final_capture: { type: "boolean", default: false },
+    },
+  }),
+  idempotentRequest,
   async (req, res) => {
+    const { amount, final_capture } = req.body;
+
+    const client = await pool.connect();
     try {
+      await client.query("BEGIN");
+
+      // Lock the payment so concurrent captures are checked one at a time
+      const result = await client.query(
+        "SELECT * FROM payments WHERE id = $1 AND merchant_id = $2 FOR UPDATE",
+        [req.params.paymentId, req.merchant.id]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          error: {
+            code: "NOT_FOUND",
+            description: "Payment not found",
+          },
+        });
+      }
+
+      const payment = result.rows[0];
+
+      if (payment.status === "captured") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: "Payment already captured",
+          },
+        });
+      }
+
+      // Without an amount, capture everything still uncaptured
+      const uncaptured = payment.amount - payment.amount_captured;
+      const captureAmount = amount === undefined ? uncaptured : amount;
+
+      if (captureAmount > uncaptured) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: "Capture amount exceeds uncaptured amount",
+          },
+        });
+      }
+
+      const captured = await capturePayment(client, payment, captureAmount, {
+        final: final_capture,
+      });
+      await client.query("COMMIT");
+
+      res.json({
+        id: captured.id,
+        order_id: captured.order_id,
+        amount: captured.amount,
+        amount_captured: captured.amount_captured,
+        currency: captured.currency,
+        method: captured.method,
+        status: captured.status,
+        captured: captured.captured,
+        created_at: captured.created_at,
+        updated_at: captured.updated_at,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+
+      if (error instanceof PaymentStateError) {
+        return res.status(400).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: "Payment not in capturable state",
+          },
+        });
+      }
+      console.error("Capture payment error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to capture payment",
+        },
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// Void Payment
+app.post(
+  "/api/v1/payments/:paymentId/void",
+  authenticateMerchant,
+  requirePermission("payments:capture"),
+  validateRequest({ body: {} }),
+  idempotentRequest,
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // Locked like capture, so a concurrent capture or authorization expiry
+      // waits and then sees the voided payment
+      const result = await client.query(
+        "SELECT * FROM payments WHERE id = $1 AND merchant_id = $2 FOR UPDATE",
+        [req.params.paymentId, req.merchant.id]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          error: {
+            code: "NOT_FOUND",
+            description: "Payment not found",
+          },
+        });
+      }
+
+      // Only the authorized -> voided transition is allowed, so captured,
+      // failed and already voided payments are rejected here
+      const voided = await transitionPayment(
+        client,
+        result.rows[0],
+        "voided",
+        "Voided by merchant"
+      );
+      await reopenOrder(client, voided.order_id);
+      await client.query("COMMIT");
+
+      // The void is committed by now, so a failed enqueue is logged rather
+      // than reported as a failed void
+      if (req.merchant.webhook_url) {
+        await enqueueWebhook(voided.merchant_id, "payment.voided", {
+          payment: {
+            id: voided.id,
+            order_id: voided.order_id,
+            amount: voided.amount,
+            currency: voided.currency,
+            method: voided.method,
+            status: "voided",
+            notes: voided.notes,
+            created_at: voided.created_at,
+          },
+        }).catch((error) =>
+          console.error("Enqueue payment.voided webhook error:", error)
+        );
+      }
+
+      res.json({
+        id: voided.id,
+        order_id: voided.order_id,
+        amount: voided.amount,
+        amount_captured: voided.amount_captured,
+        currency: voided.currency,
+        method: voided.method,
+        status: voided.status,
+        captured: voided.captured,
+        created_at: voided.created_at,
+        updated_at: voided.updated_at,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error instanceof PaymentStateError) {
+        return res.status(400).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: "Only authorized, uncaptured payments can be voided",
+          },
+        });
+      }
+      console.error("Void payment error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to void payment",
+        },
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// Create Refund
+app.post(
+  "/api/v1/payments/:paymentId/refunds",
+  authenticateMerchant,
+  requirePermission("refunds:create"),
+  validateRequest({
+    body: {
+      amount: { type: "integer", required: true, min: 1 },
+      reason: { type: "string", maxLength: 500, nullable: true },
+      notes: notesField,
+    },
+  }),
+  idempotentRequest,
+  async (req, res) => {
+    const { amount, reason, notes } = req.body;
+    const paymentId = req.params.paymentId;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      // Lock the payment so concurrent refunds are checked against the
+      // refunded total one at a time
+      const paymentResult = await client.query(
+        "SELECT * FROM payments WHERE id = $1 AND merchant_id = $2 FOR UPDATE",
+        [paymentId, req.merchant.id]
+      );
+
+      if (paymentResult.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          error: {
+            code: "NOT_FOUND",
+            description: "Payment not found",
+          },
+        });
+      }
+
+      const payment = paymentResult.rows[0];
+
+      if (!CAPTURED_STATUSES.includes(payment.status)) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: "Only captured payments can be refunded",
+          },
+        });
+      }
+
+      // Calculate total refunded; failed refunds gave nothing back
+      const refundedResult = await client.query(
+        `SELECT COALESCE(SUM(amount), 0) as total_refunded
+         FROM refunds WHERE payment_id = $1 AND status <> 'failed'`,
+        [paymentId]
+      );
+
+      // Only money that was actually captured can be given back
+      const totalRefunded = parseInt(refundedResult.rows[0].total_refunded);
+      const availableAmount = payment.amount_captured - totalRefunded;
+
+      if (amount > availableAmount) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: "Refund amount exceeds available amount",
+          },
+        });
+      }
+
+      const refundId = generateRefundId();
+      const now = new Date().toISOString();
+
+      await client.query(
+        `INSERT INTO refunds (id, payment_id, merchant_id, amount, currency, reason, notes, status, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', $8)`,
+        [
+          refundId,
+          paymentId,
+          req.merchant.id,
+          amount,
+          payment.currency,
+          reason,
+          JSON.stringify(notes),
+          now,
+        ]
+      );
+
+      const response = {
+        id: refundId,
+        payment_id: paymentId,
+        amount,
+        currency: payment.currency,
+        reason,
+        notes,
+        status: "pending",
+        created_at: now,
+      };
+
+      await client.query("COMMIT");
+
+      // In test mode a request can force its refund to fail, so the failure
+      // path can be tested next to refunds that succeed
+      const forceFailure =
+        TEST_MODE && req.headers["x-test-refund-outcome"] === "failed";
+
+      // Enqueued after the commit so the worker always finds the refund
+      await refundQueue.add(
+        "process-refund",
+        { refundId, ...(forceFailure && { forceFailure }) },
+        {
+          attempts: 3,
+          backoff: { type: "exponential", delay: 1000 },
+        }
+      );
+
+      if (req.merchant.webhook_url) {
+        await enqueueWebhook(req.merchant.id, "refund.created", {
+          refund: response,
+        });
+      }
+
+      res.status(201).json(response);
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error("Create refund error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to create refund",
+        },
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// Get Refund
+app.get(
+  "/api/v1/refunds/:refundId",
+  authenticateMerchant,
+  validateRequest(),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM refunds WHERE id = $1 AND merchant_id = $2",
+        [req.params.refundId, req.merchant.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: {
+            code: "NOT_FOUND",
+            description: "Refund not found",
+          },
+        });
+      }
+
+      res.json(formatRefund(result.rows[0]));
+    } catch (error) {
+      console.error("Get refund error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to get refund",
+        },
+      });
+    }
+  }
+);
+
+// List Webhook Logs
+app.get(
+  "/api/v1/webhooks",
+  authenticateMerchant,
+  validateRequest({ query: listQuery(LIST_FILTERS.webhooks.query) }),
+  async (req, res) => {
+    try {
+      const { table, conditions } = LIST_FILTERS.webhooks;
+      const page = await listPage(pool, {
+        table,
+        merchantId: req.merchant.id,
+        query: req.query,
+        conditions,
+      });
+
+      res.json({
+        ...page,
+        data: page.data.map((log) => ({
+          id: log.id,
+          event: log.event,
+          status: log.status,
+          attempts: log.attempts,
+          created_at: log.created_at,
+          last_attempt_at: log.last_attempt_at,
+          response_code: log.response_code,
+        })),
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return sendValidationError(res, error);
+      }
+      console.error("List webhooks error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to list webhooks",
+        },
+      });
+    }
+  }
+);
+
+// Retry Webhook
+app.post(
+  "/api/v1/webhooks/:webhookId/retry",
+  authenticateMerchant,
+  requirePermission("webhooks:manage"),
+  validateRequest({ body: {} }),
+  idempotentRequest,
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM webhook_logs WHERE id = $1 AND merchant_id = $2",
+        [req.params.webhookId, req.merchant.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: {
+            code: "NOT_FOUND",
+            description: "Webhook log not found",
+          },
+        });
+      }
+
+      const webhook = result.rows[0];
+
+      // Reset attempts and status
+      await pool.query(
+        `UPDATE webhook_logs SET attempts = 0, status = 'pending', next_retry_at = NOW()
+       WHERE id = $1`,
+        [req.params.webhookId]
+      );
+
+      // Enqueue webhook delivery
+      await webhookQueue.add("deliver-webhook", {
+        webhookLogId: webhook.id,
+        merchantId: req.merchant.id,
+        event: webhook.event,
+        payload: webhook.payload,
+      });
+
+      res.json({
+        id: webhook.id,
+        status: "pending",
+        message: "Webhook retry scheduled",
+      });
+    } catch (error) {
+      console.error("Retry webhook error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to retry webhook",
+        },
+      });
+    }
+  }
+);
+
+// Job Queue Status (Test Endpoint)
+app.get("/api/v1/test/jobs/status", validateRequest(), async (req, res) => {
+  try {
+    const paymentWaiting = await paymentQueue.getWaitingCount();
+    const paymentActive = await paymentQueue.getActiveCount();
+    const paymentCompleted = await paymentQueue.getCompletedCount();
+    const paymentFailed = await paymentQueue.getFailedCount();
+
+    const webhookWaiting = await webhookQueue.getWaitingCount();
+    const webhookActive = await webhookQueue.getActiveCount();
+
+    const refundWaiting = await refundQueue.getWaitingCount();
+    const refundActive = await refundQueue.getActiveCount();
+
+    res.json({
+      pending: paymentWaiting + webhookWaiting + refundWaiting,
+      processing: paymentActive + webhookActive + refundActive,
+      completed: paymentCompleted,
+      failed: paymentFailed,
+      worker_status: "running",
+    });
+  } catch (error) {
+    console.error("Job status error:", error);
+    res.json({
+      pending: 0,
+      processing: 0,
+      completed: 0,
+      failed: 0,
+      worker_status: "unknown",
+    });
+  }
+});
+
+// Update Merchant Webhook URL
+app.put(
+  "/api/v1/merchants/webhook",
+  authenticateMerchant,
+  requirePermission("webhooks:manage"),
+  validateRequest({
+    body: {
+      // An empty string or null clears the URL
+      webhook_url: {
+        type: "string",
+        required: true,
+        nullable: true,
+        maxLength: 2048,
+        pattern: /^(https?:\/\/\S+)?$/,
+        formatDescription: "webhook_url must be an http or https URL",
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const webhookUrl = req.body.webhook_url || null;
+
+      await pool.query(
+        "UPDATE merchants SET webhook_url = $1, updated_at = NOW() WHERE id = $2",
+        [webhookUrl, req.merchant.id]
+      );
+
+      res.json({
+        message: "Webhook URL updated successfully",
+        webhook_url: webhookUrl,
+      });
+    } catch (error) {
+      console.error("Update webhook URL error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to update webhook URL",
+        },
+      });
+    }
+  }
+);
+
+// Get Merchant Profile
+app.get(
+  "/api/v1/merchants/profile",
+  authenticateMerchant,
+  validateRequest(),
+  async (req, res) => {
+    try {
+      res.json({
+        id: req.merchant.id,
+        name: req.merchant.name,
+        email: req.merchant.email,
+        api_key: req.merchant.api_key,
+        publishable_key: req.merchant.publishable_key,
+        webhook_url: req.merchant.webhook_url,
+        ...(ROLE_PERMISSIONS[req.role].includes("webhooks:manage") && {
+          webhook_secret: req.merchant.webhook_secret,
+        }),
+        settings: {
+          capture_mode: req.merchant.capture_mode,
+          authorization_expiry_minutes:
+            req.merchant.authorization_expiry_minutes,
+          authorization_expiry_action: req.merchant.authorization_expiry_action,
+          order_expiry_minutes: req.merchant.order_expiry_minutes,
+          supported_currencies: req.merchant.supported_currencies,
+        },
+        created_at: req.merchant.created_at,
+      });
+    } catch (error) {
+      console.error("Get profile error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to get profile",
+        },
+      });
+    }
+  }
+);
+
+// Update Merchant Settings
+app.put(
+  "/api/v1/merchants/settings",
+  authenticateMerchant,
+  requirePermission("settings:manage"),
+  validateRequest({
+    body: {
+      capture_mode: { type: "string", enum: CAPTURE_MODES },
+      authorization_expiry_minutes: expiryMinutesField,
+      authorization_expiry_action: {
+        type: "string",
+        enum: AUTHORIZATION_EXPIRY_ACTIONS,
+      },
+      order_expiry_minutes: expiryMinutesField,
+      supported_currencies: {
+        type: "array",
+        items: { type: "string", enum: CURRENCY_CODES },
+        minItems: 1,
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const {
+        capture_mode,
+        authorization_expiry_minutes,
+        authorization_expiry_action,
+        order_expiry_minutes,
+        supported_currencies,
+      } = req.body;
+
+      const result = await pool.query(
+        `UPDATE merchants
+         SET capture_mode = COALESCE($1, capture_mode),
+             authorization_expiry_minutes = COALESCE($2, authorization_expiry_minutes),
+             authorization_expiry_action = COALESCE($3, authorization_expiry_action),
+             order_expiry_minutes = COALESCE($4, order_expiry_minutes),
+             supported_currencies = COALESCE($5, supported_currencies),
+             updated_at = NOW()
+         WHERE id = $6
+         RETURNING capture_mode, authorization_expiry_minutes, authorization_expiry_action, order_expiry_minutes, supported_currencies`,
+        [
+          capture_mode,
+          authorization_expiry_minutes,
+          authorization_expiry_action,
+          order_expiry_minutes,
+          // Order is kept so the first entry stays the default currency
+          supported_currencies && [...new Set(supported_currencies)],
+          req.merchant.id,
+        ]
+      );
+
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error("Update settings error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to update settings",
+        },
+      });
+    }
+  }
+);
+
+// Regenerate Webhook Secret
+app.post(
+  "/api/v1/merchants/webhook/regenerate-secret",
+  authenticateMerchant,
+  requirePermission("webhooks:manage"),
+  validateRequest({ body: {} }),
+  async (req, res) => {
+    try {
+      const newSecret = generateWebhookSecret();
+
+      await pool.query(
+        "UPDATE merchants SET webhook_secret = $1, updated_at = NOW() WHERE id = $2",
+        [newSecret, req.merchant.id]
+      );
+
+      res.json({
+        webhook_secret: newSecret,
+      });
+    } catch (error) {
+      console.error("Regenerate secret error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to regenerate webhook secret",
+        },
+      });
+    }
+  }
+);
+
+// Create API Key
+app.post(
+  "/api/v1/merchants/keys",
+  authenticateMerchant,
+  requirePermission("keys:manage"),
+  validateRequest({
+    body: {
+      label: { type: "string", maxLength: 255, nullable: true },
+      mode: { type: "string", enum: ["test", "live"], default: "test" },
+    },
+  }),
+  // No Idempotency-Key here: replaying the response would mean storing the
+  // new secret in plain text
+  async (req, res) => {
+    try {
+      const { label = null, mode } = req.body;
+
+      const apiKey = generateApiKey(mode);
+      const apiSecret = generateApiSecret(mode);
+
+      const result = await pool.query(
+        `INSERT INTO api_keys (merchant_id, label, mode, api_key, secret_hash)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [req.merchant.id, label, mode, apiKey, hashApiSecret(apiSecret)]
+      );
+
+      const key = result.rows[0];
+      res.status(201).json({
+        id: key.id,
+        label: key.label,
+        mode: key.mode,
+        api_key: key.api_key,
+        api_secret: apiSecret,
+        created_at: key.created_at,
+      });
+    } catch (error) {
+      console.error("Create API key error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to create API key",
+        },
+      });
+    }
+  }
+);
+
+// List API Keys
+app.get(
+  "/api/v1/merchants/keys",
+  authenticateMerchant,
+  requirePermission("keys:manage"),
+  validateRequest(),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM api_keys WHERE merchant_id = $1 ORDER BY created_at DESC`,
+        [req.merchant.id]
+      );
+
+      res.json({
+        data: result.rows.map((key) => ({
+          id: key.id,
+          label: key.label,
+          mode: key.mode,
+          api_key: key.api_key,
+          created_at: key.created_at,
+          revoked_at: key.revoked_at,
+          last_used_at: key.last_used_at,
+        })),
+      });
+    } catch (error) {
+      console.error("List API keys error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to list API keys",
+        },
+      });
+    }
+  }
+);
+
+// Revoke API Key
+app.post(
+  "/api/v1/merchants/keys/:keyId/revoke",
+  authenticateMerchant,
+  requirePermission("keys:manage"),
+  validateRequest({ body: {} }),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM api_keys WHERE id = $1 AND merchant_id = $2",
+        [req.params.keyId, req.merchant.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: {
+            code: "NOT_FOUND",
+            description: "API key not found",
+          },
+        });
+      }
+
+      const key = result.rows[0];
+
+      if (key.revoked_at) {
+        return res.status(400).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: "API key already revoked",
+          },
+        });
+      }
+
+      if (key.id === req.merchant.api_key_id) {
+        return res.status(400).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: "Cannot revoke the API key used for this request",
+          },
+        });
+      }
+
+      const updateResult = await pool.query(
+        "UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 RETURNING revoked_at",
+        [key.id]
+      );
+
+      res.json({
+        id: key.id,
+        label: key.label,
+        mode: key.mode,
+        api_key: key.api_key,
+        revoked_at: updateResult.rows[0].revoked_at,
+      });
+    } catch (error) {
+      console.error("Revoke API key error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to revoke API key",
+        },
+      });
+    }
+  }
+);
+
+// List Team Members
+app.get(
+  "/api/v1/merchants/team",
+  authenticateMerchant,
+  validateRequest(),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM merchant_users WHERE merchant_id = $1 ORDER BY created_at ASC`,
+        [req.merchant.id]
+      );
+
+      res.json({
+        data: result.rows.map((user) => ({
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          created_at: user.created_at,
+          last_login_at: user.last_login_at,
+        })),
+      });
+    } catch (error) {
+      console.error("List team error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to list team members",
+        },
+      });
+    }
+  }
+);
+
+// Add Team Member
+app.post(
+  "/api/v1/merchants/team",
+  authenticateMerchant,
+  requirePermission("team:manage"),
+  validateRequest({
+    body: {
+      name: { type: "string", maxLength: 255, nullable: true },
+      email: emailField,
+      password: passwordField,
+      role: { type: "string", required: true, enum: TEAM_ROLES },
+    },
+  }),
+  idempotentRequest,
+  async (req, res) => {
+    try {
+      const { name, email, password, role } = req.body;
+
+      if (role === "owner" && req.role !== "owner") {
+        return res.status(403).json({
+          error: {
+            code: "FORBIDDEN",
+            description: "Only owners can add owners",
+          },
+        });
+      }
+
       const result = await pool.query(
-        "SELECT * FROM webhook_logs WHERE id = $1 AND merchant_id = $2",
-        [req.params.webhookId, req.merchant.id]
+        `INSERT INTO merchant_users (merchant_id, name, email, password_hash, role)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (email) DO NOTHING RETURNING *`,
+        [
+          req.merchant.id,
+          name || null,
+          email.toLowerCase(),
+          await hashPassword(password),
+          role,
+        ]
       );
 
       if (result.rows.length === 0) {
-        return res.status(404).json({
+        return res.status(409).json({
           error: {
-            code: "NOT_FOUND",
-            description: "Webhook log not found",
+            code: "CONFLICT",
+            description: "Email already registered",
           },
         });
       }
 
-      const webhook = result.rows[0];
-
-      // Reset attempts and status
-      await pool.query(
-        `UPDATE webhook_logs SET attempts = 0, status = 'pending', next_retry_at = NOW()
-       WHERE id = $1`,
-        [req.params.webhookId]
-      );
-
-      // Enqueue webhook delivery
-      await webhookQueue.add("deliver-webhook", {
-        webhookLogId: webhook.id,
-        merchantId: req.merchant.id,
-        event: webhook.event,
-        payload: webhook.payload,
-      });
-
-      res.json({
-        id: webhook.id,
-        status: "pending",
-        message: "Webhook retry scheduled",
+      const user = result.rows[0];
+      res.status(201).json({
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        created_at: user.created_at,
       });
     } catch (error) {
-      console.error("Retry webhook error:", error);
+      console.error("Add team member error:", error);
       res.status(500).json({
         error: {
           code: "INTERNAL_ERROR",
-          description: "Failed to retry webhook",
+          description: "Failed to add team member",
         },
       });
     }
   }
 );
 
-// Job Queue Status (Test Endpoint)
-app.get("/api/v1/test/jobs/status", async (req, res) => {
-  try {
-    const paymentWaiting = await paymentQueue.getWaitingCount();
-    const paymentActive = await paymentQueue.getActiveCount();
-    const paymentCompleted = await paymentQueue.getCompletedCount();
-    const paymentFailed = await paymentQueue.getFailedCount();
-
-    const webhookWaiting = await webhookQueue.getWaitingCount();
-    const webhookActive = await webhookQueue.getActiveCount();
-
-    const refundWaiting = await refundQueue.getWaitingCount();
-    const refundActive = await refundQueue.getActiveCount();
+// Loads a team member for update/removal, enforcing that nobody edits
+// themselves and only owners touch other owners
+async function findManageableTeamMember(req, res) {
+  const result = await pool.query(
+    "SELECT * FROM merchant_users WHERE id = $1 AND merchant_id = $2",
+    [req.params.userId, req.merchant.id]
+  );
 
-    res.json({
-      pending: paymentWaiting + webhookWaiting + refundWaiting,
-      processing: paymentActive + webhookActive + refundActive,
-      completed: paymentCompleted,
-      failed: paymentFailed,
-      worker_status: "running",
-    });
-  } catch (error) {
-    console.error("Job status error:", error);
-    res.json({
-      pending: 0,
-      processing: 0,
-      completed: 0,
-      failed: 0,
-      worker_status: "unknown",
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      error: {
+        code: "NOT_FOUND",
+        description: "Team member not found",
+      },
     });
+    return null;
   }
-});
 
-// Update Merchant Webhook URL
-app.put("/api/v1/merchants/webhook", authenticateMerchant, async (req, res) => {
-  try {
-    const { webhook_url } = req.body;
-
-    await pool.query(
-      "UPDATE merchants SET webhook_url = $1, updated_at = NOW() WHERE id = $2",
-      [webhook_url, req.merchant.id]
-    );
+  const member = result.rows[0];
 
-    res.json({
-      message: "Webhook URL updated successfully",
-      webhook_url,
-    });
-  } catch (error) {
-    console.error("Update webhook URL error:", error);
-    res.status(500).json({
+  if (member.id === req.user.id) {
+    res.status(400).json({
       error: {
-        code: "INTERNAL_ERROR",
-        description: "Failed to update webhook URL",
+        code: "BAD_REQUEST_ERROR",
+        description: "You cannot change your own membership",
       },
     });
+    return null;
   }
-});
 
-// Get Merchant Profile
-app.get("/api/v1/merchants/profile", authenticateMerchant, async (req, res) => {
-  try {
-    res.json({
-      id: req.merchant.id,
-      name: req.merchant.name,
-      email: req.merchant.email,
-      api_key: req.merchant.api_key,
-      webhook_url: req.merchant.webhook_url,
-      webhook_secret: req.merchant.webhook_secret,
-      created_at: req.merchant.created_at,
-    });
-  } catch (error) {
-    console.error("Get profile error:", error);
-    res.status(500).json({
+  if (member.role === "owner" && req.role !== "owner") {
+    res.status(403).json({
       error: {
-        code: "INTERNAL_ERROR",
-        description: "Failed to get profile",
+        code: "FORBIDDEN",
+        description: "Only owners can manage owners",
       },
     });
+    return null;
   }
-});
 
-// Regenerate Webhook Secret
-app.post(
-  "/api/v1/merchants/webhook/regenerate-secret",
+  return member;
+}
+
+// Update Team Member Role
+app.put(
+  "/api/v1/merchants/team/:userId",
   authenticateMerchant,
+  requirePermission("team:manage"),
+  validateRequest({
+    body: {
+      role: { type: "string", required: true, enum: TEAM_ROLES },
+    },
+  }),
   async (req, res) => {
     try {
-      const newSecret = generateWebhookSecret();
+      const { role } = req.body;
 
-      await pool.query(
-        "UPDATE merchants SET webhook_secret = $1, updated_at = NOW() WHERE id = $2",
-        [newSecret, req.merchant.id]
-      );
+      if (role === "owner" && req.role !== "owner") {
+        return res.status(403).json({
+          error: {
+            code: "FORBIDDEN",
+            description: "Only owners can manage owners",
+          },
+        });
+      }
+
+      const member = await findManageableTeamMember(req, res);
+      if (!member) {
+        return;
+      }
+
+      await pool.query("UPDATE merchant_users SET role = $1 WHERE id = $2", [
+        role,
+        member.id,
+      ]);
 
       res.json({
-        webhook_secret: newSecret,
+        id: member.id,
+        name: member.name,
+        email: member.email,
+        role,
       });
     } catch (error) {
-      console.error("Regenerate secret error:", error);
+      console.error("Update team member error:", error);
       res.status(500).json({
         error: {
           code: "INTERNAL_ERROR",
-          description: "Failed to regenerate webhook secret",
+          description: "Failed to update team member",
+        },
+      });
+    }
+  }
+);
+
+// Remove Team Member
+app.delete(
+  "/api/v1/merchants/team/:userId",
+  authenticateMerchant,
+  requirePermission("team:manage"),
+  validateRequest({ body: {} }),
+  async (req, res) => {
+    try {
+      const member = await findManageableTeamMember(req, res);
+      if (!member) {
+        return;
+      }
+
+      // Sessions cascade with the user row
+      await pool.query("DELETE FROM merchant_users WHERE id = $1", [member.id]);
+
+      res.json({
+        id: member.id,
+        message: "Team member removed",
+      });
+    } catch (error) {
+      console.error("Remove team member error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to remove team member",
         },
       });
     }
@@ -825,6 +2492,9 @@ app.post(
 app.post(
   "/api/v1/merchants/webhook/test",
   authenticateMerchant,
+  requirePermission("webhooks:manage"),
+  validateRequest({ body: {} }),
+  idempotentRequest,
   async (req, res) => {
     try {
       if (!req.merchant.webhook_url) {
@@ -866,128 +2536,233 @@ app.post(
   }
 );
 
-// List Orders
-app.get("/api/v1/orders", authenticateMerchant, async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = parseInt(req.query.offset) || 0;
+// Dashboard Stats
+app.get(
+  "/api/v1/stats",
+  authenticateMerchant,
+  validateRequest({
+    query: {
+      ...dateRangeFilters,
+      interval: { type: "string", enum: STATS_INTERVALS, default: "day" },
+      currency: { type: "string", enum: CURRENCY_CODES },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const stats = await getStats(pool, req.merchant.id, {
+        ...req.query,
+        // Any currency can be asked for, since ones the merchant has
+        // disabled still have history
+        currency: req.query.currency || req.merchant.supported_currencies[0],
+      });
+      res.json(stats);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return sendValidationError(res, error);
+      }
+      console.error("Stats error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to compute stats",
+        },
+      });
+    }
+  }
+);
 
-    const result = await pool.query(
-      `SELECT * FROM orders WHERE merchant_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
-      [req.merchant.id, limit, offset]
-    );
+// Search
+app.get(
+  "/api/v1/search",
+  authenticateMerchant,
+  validateRequest({
+    query: {
+      q: { type: "string", required: true, minLength: 2, maxLength: 100 },
+      type: {
+        type: "array",
+        items: { type: "string", enum: SEARCH_TYPES },
+        default: SEARCH_TYPES,
+      },
+      limit: { type: "integer", min: 1, max: 50, default: 10 },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { q } = req.query;
+      const types = [...new Set(req.query.type)];
+      const results = await search(pool, req.merchant.id, {
+        q,
+        types,
+        limit: req.query.limit,
+      });
 
-    const countResult = await pool.query(
-      "SELECT COUNT(*) as total FROM orders WHERE merchant_id = $1",
-      [req.merchant.id]
-    );
+      res.json({
+        q,
+        ...(results.order && {
+          orders: results.order.map((order) => ({
+            id: order.id,
+            amount: order.amount,
+            currency: order.currency,
+            receipt: order.receipt,
+            notes: order.notes,
+            status: order.status,
+            created_at: order.created_at,
+            matched_on: order.matched_on,
+          })),
+        }),
+        ...(results.payment && {
+          payments: results.payment.map((payment) => ({
+            ...formatPayment(payment),
+            matched_on: payment.matched_on,
+          })),
+        }),
+        ...(results.refund && {
+          refunds: results.refund.map((refund) => ({
+            ...formatRefund(refund),
+            matched_on: refund.matched_on,
+          })),
+        }),
+      });
+    } catch (error) {
+      console.error("Search error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to search",
+        },
+      });
+    }
+  }
+);
 
-    res.json({
-      data: result.rows.map((order) => ({
-        id: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        receipt: order.receipt,
-        status: order.status,
-        created_at: order.created_at,
-      })),
-      total: parseInt(countResult.rows[0].total),
-      limit,
-      offset,
-    });
-  } catch (error) {
-    console.error("List orders error:", error);
-    res.status(500).json({
-      error: {
-        code: "INTERNAL_ERROR",
-        description: "Failed to list orders",
-      },
-    });
+// List Orders
+app.get(
+  "/api/v1/orders",
+  authenticateMerchant,
+  validateRequest({ query: listQuery(LIST_FILTERS.orders.query) }),
+  async (req, res) => {
+    try {
+      const { table, conditions } = LIST_FILTERS.orders;
+      const page = await listPage(pool, {
+        table,
+        merchantId: req.merchant.id,
+        query: req.query,
+        conditions,
+      });
+
+      res.json({
+        ...page,
+        data: page.data.map((order) => ({
+          id: order.id,
+          amount: order.amount,
+          currency: order.currency,
+          receipt: order.receipt,
+          notes: order.notes,
+          capture_mode: order.capture_mode,
+          status: order.status,
+          created_at: order.created_at,
+        })),
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return sendValidationError(res, error);
+      }
+      console.error("List orders error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to list orders",
+        },
+      });
+    }
   }
-});
+);
 
 // List Payments
-app.get("/api/v1/payments", authenticateMerchant, async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = parseInt(req.query.offset) || 0;
-
-    const result = await pool.query(
-      `SELECT * FROM payments WHERE merchant_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
-      [req.merchant.id, limit, offset]
-    );
+app.get(
+  "/api/v1/payments",
+  authenticateMerchant,
+  validateRequest({ query: listQuery(LIST_FILTERS.payments.query) }),
+  async (req, res) => {
+    try {
+      const { table, conditions } = LIST_FILTERS.payments;
+      const page = await listPage(pool, {
+        table,
+        merchantId: req.merchant.id,
+        query: req.query,
+        conditions,
+      });
 
-    const countResult = await pool.query(
-      "SELECT COUNT(*) as total FROM payments WHERE merchant_id = $1",
-      [req.merchant.id]
-    );
+      const refunds = await getRefundsByPayment(
+        page.data.map((payment) => payment.id)
+      );
 
-    res.json({
-      data: result.rows.map((payment) => ({
-        id: payment.id,
-        order_id: payment.order_id,
-        amount: payment.amount,
-        currency: payment.currency,
-        method: payment.method,
-        status: payment.status,
-        captured: payment.captured,
-        created_at: payment.created_at,
-      })),
-      total: parseInt(countResult.rows[0].total),
-      limit,
-      offset,
-    });
-  } catch (error) {
-    console.error("List payments error:", error);
-    res.status(500).json({
-      error: {
-        code: "INTERNAL_ERROR",
-        description: "Failed to list payments",
-      },
-    });
+      res.json({
+        ...page,
+        data: page.data.map((payment) => ({
+          id: payment.id,
+          order_id: payment.order_id,
+          amount: payment.amount,
+          currency: payment.currency,
+          method: payment.method,
+          status: payment.status,
+          captured: payment.captured,
+          amount_captured: payment.amount_captured,
+          amount_refunded: payment.amount_refunded,
+          refund_status: refundStatus(payment),
+          refunds: refunds[payment.id],
+          notes: payment.notes,
+          created_at: payment.created_at,
+        })),
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return sendValidationError(res, error);
+      }
+      console.error("List payments error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to list payments",
+        },
+      });
+    }
   }
-});
+);
 
 // List Refunds
-app.get("/api/v1/refunds", authenticateMerchant, async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = parseInt(req.query.offset) || 0;
-
-    const result = await pool.query(
-      `SELECT * FROM refunds WHERE merchant_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
-      [req.merchant.id, limit, offset]
-    );
-
-    const countResult = await pool.query(
-      "SELECT COUNT(*) as total FROM refunds WHERE merchant_id = $1",
-      [req.merchant.id]
-    );
+app.get(
+  "/api/v1/refunds",
+  authenticateMerchant,
+  validateRequest({ query: listQuery(LIST_FILTERS.refunds.query) }),
+  async (req, res) => {
+    try {
+      const { table, conditions } = LIST_FILTERS.refunds;
+      const page = await listPage(pool, {
+        table,
+        merchantId: req.merchant.id,
+        query: req.query,
+        conditions,
+      });
 
-    res.json({
-      data: result.rows.map((refund) => ({
-        id: refund.id,
-        payment_id: refund.payment_id,
-        amount: refund.amount,
-        reason: refund.reason,
-        status: refund.status,
-        created_at: refund.created_at,
-        processed_at: refund.processed_at,
-      })),
-      total: parseInt(countResult.rows[0].total),
-      limit,
-      offset,
-    });
-  } catch (error) {
-    console.error("List refunds error:", error);
-    res.status(500).json({
-      error: {
-        code: "INTERNAL_ERROR",
-        description: "Failed to list refunds",
-      },
-    });
+      res.json({
+        ...page,
+        data: page.data.map(formatRefund),
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return sendValidationError(res, error);
+      }
+      console.error("List refunds error:", error);
+      res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          description: "Failed to list refunds",
+        },
+      });
+    }
   }
-});
+);
 
 const PORT = process.env.PORT || 8000;
 app.listen(PORT, () => {
@@ -0,0 +1,99 @@
+// Filters accepted by each list endpoint, shared with the exports of the same
+// lists: the query string schema for each filter and the SQL it adds, using
+// ? for the value and t for the table (see pagination.js).
+
+const { PAYMENT_STATUSES } = require("./paymentStates");
+const { dateRangeFilters, amountRangeFilters } = require("./pagination");
+
+const ORDER_STATUSES = ["created", "attempted", "paid", "expired"];
+const REFUND_STATUSES = ["pending", "processed", "failed"];
+const WEBHOOK_STATUSES = ["pending", "success", "failed"];
+
+// Filters matching one or more statuses, e.g. status=paid&status=expired
+function statusFilter(statuses) {
+  return { type: "array", items: { type: "string", enum: statuses } };
+}
+
+const dateRangeConditions = {
+  from: "t.created_at >= ?",
+  to: "t.created_at < ?",
+};
+const amountRangeConditions = {
+  min_amount: "t.amount >= ?",
+  max_amount: "t.amount <= ?",
+};
+
+const LIST_FILTERS = {
+  orders: {
+    table: "orders",
+    query: {
+      status: statusFilter(ORDER_STATUSES),
+      ...dateRangeFilters,
+      ...amountRangeFilters,
+    },
+    conditions: {
+      status: "t.status = ANY(?)",
+      ...dateRangeConditions,
+      ...amountRangeConditions,
+    },
+  },
+  payments: {
+    table: "payments",
+    query: {
+      status: statusFilter(PAYMENT_STATUSES),
+      method: { type: "string", enum: ["upi", "card"] },
+      order_id: { type: "string", maxLength: 64 },
+      ...dateRangeFilters,
+      ...amountRangeFilters,
+    },
+    conditions: {
+      status: "t.status = ANY(?)",
+      method: "t.method = ?",
+      order_id: "t.order_id = ?",
+      ...dateRangeConditions,
+      ...amountRangeConditions,
+    },
+  },
+  refunds: {
+    table: "refunds",
+    query: {
+      status: statusFilter(REFUND_STATUSES),
+      payment_id: { type: "string", maxLength: 64 },
+      order_id: { type: "string", maxLength: 64 },
+      ...dateRangeFilters,
+      ...amountRangeFilters,
+    },
+    conditions: {
+      status: "t.status = ANY(?)",
+      payment_id: "t.payment_id = ?",
+      order_id: "t.payment_id IN (SELECT id FROM payments WHERE order_id = ?)",
+      ...dateRangeConditions,
+      ...amountRangeConditions,
+    },
+  },
+  webhooks: {
+    table: "webhook_logs",
+    query: {
+      status: statusFilter(WEBHOOK_STATUSES),
+      event: { type: "string", maxLength: 50 },
+      payment_id: { type: "string", maxLength: 64 },
+      ...dateRangeFilters,
+    },
+    conditions: {
+      status: "t.status = ANY(?)",
+      event: "t.event = ?",
+      // Payment events carry the payment, order.paid its payment_id and
+      // refund events the refunded payment_id
+      payment_id: `? IN (
+        t.payload #>> '{data,payment,id}',
+        t.payload #>> '{data,order,payment_id}',
+        t.payload #>> '{data,refund,payment_id}'
+      )`,
+      ...dateRangeConditions,
+    },
+  },
+};
+
+module.exports = {
+  LIST_FILTERS,
+};
@@ -0,0 +1,158 @@
+// Cursor pagination shared by the list endpoints. Rows are returned newest
+// first, ordered by (created_at, id). Cursors are opaque tokens naming the
+// row to page from, so pages stay stable while new rows are being inserted,
+// unlike LIMIT/OFFSET.
+
+const { ValidationError } = require("./validation");
+
+const MAX_PAGE_SIZE = 100;
+
+// Query string schema for a list endpoint, combined with its filters
+function listQuery(filters = {}) {
+  return {
+    limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE, default: 10 },
+    starting_after: { type: "string", minLength: 1, maxLength: 200 },
+    ending_before: { type: "string", minLength: 1, maxLength: 200 },
+    include_total: { type: "boolean", default: false },
+    ...filters,
+  };
+}
+
+// Filters most list endpoints share; from is inclusive, to is exclusive
+const dateRangeFilters = {
+  from: { type: "timestamp" },
+  to: { type: "timestamp" },
+};
+const amountRangeFilters = {
+  min_amount: { type: "integer", min: 0 },
+  max_amount: { type: "integer", min: 0 },
+};
+
+function encodeCursor(id) {
+  return Buffer.from(JSON.stringify({ id: String(id) })).toString("base64url");
+}
+
+function decodeCursor(field, cursor) {
+  try {
+    const { id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof id === "string") {
+      return id;
+    }
+  } catch (error) {
+    // Fall through to the validation error below
+  }
+  throw new ValidationError(field, "invalid_cursor", `${field} is not valid`);
+}
+
+// WHERE clause and parameters selecting merchantId's rows that match the
+// filters in query. conditions maps query parameter names to SQL using ? for
+// the value and t for the table, e.g. { status: "t.status = ANY(?)" };
+// parameters absent from query are skipped.
+function filterRows(merchantId, query, conditions = {}) {
+  const params = [merchantId];
+  const where = ["t.merchant_id = $1"];
+  for (const [name, sql] of Object.entries(conditions)) {
+    if (query[name] !== undefined) {
+      params.push(query[name]);
+      where.push(sql.replace("?", `$${params.length}`));
+    }
+  }
+  return { where, params };
+}
+
+// Returns one page of table rows belonging to merchantId and matching the
+// filters (see filterRows), shaped as the list response body with the raw
+// rows under data. Throws ValidationError for unusable cursors.
+async function listPage(db, { table, merchantId, query, conditions = {} }) {
+  const { limit, starting_after, ending_before, include_total } = query;
+
+  if (starting_after && ending_before) {
+    throw new ValidationError(
+      "ending_before",
+      "invalid_value",
+      "Only one of starting_after and ending_before can be given"
+    );
+  }
+
+  const { where, params } = filterRows(merchantId, query, conditions);
+  const filterParams = [...params];
+  const filterWhere = where.join(" AND ");
+
+  const backwards = Boolean(ending_before);
+  const cursorField = backwards ? "ending_before" : "starting_after";
+  const cursor = starting_after || ending_before;
+
+  if (cursor) {
+    const cursorResult = await db.query(
+      `SELECT id FROM ${table} WHERE id::text = $1 AND merchant_id = $2`,
+      [decodeCursor(cursorField, cursor), merchantId]
+    );
+    if (cursorResult.rows.length === 0) {
+      throw new ValidationError(
+        cursorField,
+        "invalid_cursor",
+        `${cursorField} does not refer to an existing object`
+      );
+    }
+
+    // Compared in SQL so created_at keeps its full precision
+    params.push(cursorResult.rows[0].id);
+    where.push(
+      `(t.created_at, t.id) ${backwards ? ">" : "<"} (
+        SELECT created_at, id FROM ${table} WHERE id = $${params.length}
+      )`
+    );
+  }
+
+  // Walk away from the cursor, then put the page back in newest first order
+  const direction = backwards ? "ASC" : "DESC";
+  params.push(limit + 1);
+  const result = await db.query(
+    `SELECT t.* FROM ${table} t
+     WHERE ${where.join(" AND ")}
+     ORDER BY t.created_at ${direction}, t.id ${direction}
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  if (backwards) {
+    rows.reverse();
+  }
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const page = {
+    data: rows,
+    has_more: hasMore,
+    limit,
+    // Older rows follow unless this is the last page; paging backwards
+    // always came from an older row
+    next_cursor: last && (backwards || hasMore) ? encodeCursor(last.id) : null,
+    // Newer rows precede unless this is the first page
+    prev_cursor:
+      first && (backwards ? hasMore : Boolean(starting_after))
+        ? encodeCursor(first.id)
+        : null,
+  };
+
+  if (include_total) {
+    const countResult = await db.query(
+      `SELECT COUNT(*) AS total FROM ${table} t WHERE ${filterWhere}`,
+      filterParams
+    );
+    page.total = parseInt(countResult.rows[0].total);
+  }
+
+  return page;
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  listQuery,
+  dateRangeFilters,
+  amountRangeFilters,
+  filterRows,
+  listPage,
+};
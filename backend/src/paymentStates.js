@@ -0,0 +1,154 @@
+// Payment lifecycle shared by the API and the worker. Every status change goes
+// through transitionPayment so the allowed moves live in one place and each
+// one is recorded in payment_status_history.
+
+const PAYMENT_TRANSITIONS = {
+  created: ["authorized", "failed"],
+  authorized: ["captured", "partially_captured", "voided", "expired"],
+  partially_captured: ["partially_captured", "captured"],
+  captured: [],
+  voided: [],
+  failed: [],
+  expired: [],
+};
+
+const PAYMENT_STATUSES = Object.keys(PAYMENT_TRANSITIONS);
+
+// Statuses where money has actually moved and can be refunded
+const CAPTURED_STATUSES = ["captured", "partially_captured"];
+
+class PaymentStateError extends Error {
+  constructor(fromStatus, toStatus) {
+    super(`Cannot move payment from ${fromStatus} to ${toStatus}`);
+    this.name = "PaymentStateError";
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+}
+
+function canTransition(fromStatus, toStatus) {
+  return (PAYMENT_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Records the initial status of a freshly inserted payment
+async function recordPaymentCreated(db, paymentId) {
+  await db.query(
+    `INSERT INTO payment_status_history (payment_id, from_status, to_status, reason)
+     VALUES ($1, NULL, 'created', 'Payment created')`,
+    [paymentId]
+  );
+}
+
+// Moves a payment to toStatus, optionally setting extra columns alongside it.
+// The update only applies if the payment is still in the status it was read
+// with, so a concurrent change surfaces as a PaymentStateError instead of
+// being silently overwritten. db may be the pool or a transaction client.
+async function transitionPayment(db, payment, toStatus, reason, fields = {}) {
+  if (!canTransition(payment.status, toStatus)) {
+    throw new PaymentStateError(payment.status, toStatus);
+  }
+
+  const columns = {
+    ...fields,
+    captured: CAPTURED_STATUSES.includes(toStatus),
+  };
+  const names = Object.keys(columns);
+  const assignments = names.map((name, i) => `${name} = $${i + 5}`);
+
+  const result = await db.query(
+    `WITH updated AS (
+       UPDATE payments SET status = $1, ${assignments.join(
+         ", "
+       )}, updated_at = NOW()
+       WHERE id = $2 AND status = $3
+       RETURNING *
+     ), history AS (
+       INSERT INTO payment_status_history (payment_id, from_status, to_status, reason)
+       SELECT id, $3, $1, $4 FROM updated
+     )
+     SELECT * FROM updated`,
+    [
+      toStatus,
+      payment.id,
+      payment.status,
+      reason,
+      ...names.map((name) => columns[name]),
+    ]
+  );
+
+  if (result.rows.length === 0) {
+    throw new PaymentStateError(payment.status, toStatus);
+  }
+
+  return result.rows[0];
+}
+
+// Captures amount of an authorized payment. Partial captures can be repeated
+// until the authorized amount is reached; a final capture settles the payment
+// and releases whatever was left uncaptured. Callers should hold a row lock on
+// the payment so concurrent captures cannot both pass the amount check.
+async function capturePayment(
+  db,
+  payment,
+  amount,
+  { final = false, reason } = {}
+) {
+  const amountCaptured = payment.amount_captured + amount;
+  const released = payment.amount - amountCaptured;
+
+  if (final || released === 0) {
+    return transitionPayment(
+      db,
+      payment,
+      "captured",
+      reason ||
+        (released > 0
+          ? `Captured ${amount}, released ${released} uncaptured`
+          : `Captured ${amount}`),
+      { amount_captured: amountCaptured }
+    );
+  }
+
+  return transitionPayment(
+    db,
+    payment,
+    "partially_captured",
+    reason || `Captured ${amount}`,
+    { amount_captured: amountCaptured }
+  );
+}
+
+// An authorized payment marks its order paid. If the authorization is then
+// released without anything captured (voided or expired), the order goes
+// back to attempted so it can be paid again. Call it in the same transaction
+// as the payment's transition.
+async function reopenOrder(db, orderId) {
+  await db.query(
+    `UPDATE orders SET status = 'attempted', updated_at = NOW()
+     WHERE id = $1 AND status = 'paid'`,
+    [orderId]
+  );
+}
+
+async function getPaymentStatusHistory(db, paymentId) {
+  const result = await db.query(
+    `SELECT from_status, to_status, reason, created_at
+     FROM payment_status_history
+     WHERE payment_id = $1
+     ORDER BY id ASC`,
+    [paymentId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  CAPTURED_STATUSES,
+  PaymentStateError,
+  canTransition,
+  recordPaymentCreated,
+  transitionPayment,
+  capturePayment,
+  reopenOrder,
+  getPaymentStatusHistory,
+};
@@ -0,0 +1,88 @@
+// Search across a merchant's orders, payments and refunds for the identifiers
+// customers quote to support: object IDs, receipts, VPAs, card last4, emails
+// and notes values. Text fields match case-insensitively anywhere in the
+// value; card last4 must match exactly.
+
+const SEARCH_TYPES = ["order", "payment", "refund"];
+
+// Matches any notes value; notes are flat, see validation.js
+const NOTES_MATCH =
+  "EXISTS (SELECT 1 FROM jsonb_each_text(t.notes) n WHERE n.value ILIKE $2)";
+
+// Searchable fields per type. $2 is the ILIKE pattern and $3 the query as
+// typed; $3 is only passed to types whose fields use it.
+const SEARCH_FIELDS = {
+  order: {
+    table: "orders",
+    fields: {
+      id: "t.id ILIKE $2",
+      receipt: "t.receipt ILIKE $2",
+      notes: NOTES_MATCH,
+    },
+  },
+  payment: {
+    table: "payments",
+    fields: {
+      id: "t.id ILIKE $2",
+      order_id: "t.order_id ILIKE $2",
+      vpa: "t.vpa ILIKE $2",
+      card_last4: "t.card_last4 = $3",
+      email: "t.email ILIKE $2",
+      notes: NOTES_MATCH,
+    },
+  },
+  refund: {
+    table: "refunds",
+    fields: {
+      id: "t.id ILIKE $2",
+      payment_id: "t.payment_id ILIKE $2",
+      reason: "t.reason ILIKE $2",
+      notes: NOTES_MATCH,
+    },
+  },
+};
+
+// Escapes LIKE wildcards so the query is matched literally
+function likePattern(q) {
+  return `%${q.replace(/[\\%_]/g, "\\$&")}%`;
+}
+
+// Returns the newest matches of one type, each with matched_on listing the
+// fields that matched
+async function searchType(db, merchantId, type, q, limit) {
+  const { table, fields } = SEARCH_FIELDS[type];
+  const conditions = Object.values(fields);
+  const matchedOn = Object.entries(fields)
+    .map(([field, sql]) => `CASE WHEN ${sql} THEN '${field}' END`)
+    .join(", ");
+
+  // Postgres rejects parameters a statement never references
+  const params = [merchantId, likePattern(q)];
+  if (conditions.some((sql) => sql.includes("$3"))) {
+    params.push(q);
+  }
+  params.push(limit);
+
+  const result = await db.query(
+    `SELECT t.*, ARRAY_REMOVE(ARRAY[${matchedOn}], NULL) AS matched_on
+     FROM ${table} t
+     WHERE t.merchant_id = $1 AND (${conditions.join(" OR ")})
+     ORDER BY t.created_at DESC, t.id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+// Searches the given types in parallel; types left out are not queried
+async function search(db, merchantId, { q, types, limit }) {
+  const results = await Promise.all(
+    types.map((type) => searchType(db, merchantId, type, q, limit))
+  );
+  return Object.fromEntries(types.map((type, i) => [type, results[i]]));
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  search,
+};
@@ -0,0 +1,199 @@
+// Aggregate statistics for the dashboard home page, computed in SQL over a
+// created_at range for a single currency, since amounts in different
+// currencies cannot be added up.
+
+const { CAPTURED_STATUSES } = require("./paymentStates");
+const { ValidationError } = require("./validation");
+
+// Payments where the customer's money was authorized and not given back
+const SUCCESSFUL_STATUSES = ["authorized", ...CAPTURED_STATUSES];
+
+// Payments that got through authorization, including ones later voided or
+// left to expire; the success rate counts these against every payment that
+// has finished processing
+const AUTHORIZED_STATUSES = [...SUCCESSFUL_STATUSES, "voided", "expired"];
+
+const STATS_INTERVALS = ["hour", "day", "week"];
+const INTERVAL_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+const DEFAULT_RANGE_MS = 30 * INTERVAL_MS.day;
+
+// Keeps the series small enough to chart; an hourly series covers 41 days
+const MAX_BUCKETS = 1000;
+
+function toNumber(value) {
+  return value === null ? 0 : Number(value);
+}
+
+// Resolves the requested range, defaulting to the 30 days up to now, and
+// rejects ranges that are empty or would produce too many buckets
+function statsRange({ from, to, interval }) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end - DEFAULT_RANGE_MS);
+
+  if (start >= end) {
+    throw new ValidationError(
+      "from",
+      "invalid_value",
+      "from must be before to"
+    );
+  }
+  if ((end - start) / INTERVAL_MS[interval] > MAX_BUCKETS) {
+    throw new ValidationError(
+      "interval",
+      "out_of_range",
+      `The range spans more than ${MAX_BUCKETS} ${interval}s; use a longer interval or a shorter range`
+    );
+  }
+
+  return { from: start.toISOString(), to: end.toISOString() };
+}
+
+async function getStats(db, merchantId, { currency, interval, ...range }) {
+  const { from, to } = statsRange({ interval, ...range });
+  const params = [merchantId, currency, from, to];
+  const scope =
+    "merchant_id = $1 AND currency = $2 AND created_at >= $3 AND created_at < $4";
+
+  const [orders, payments, byStatus, byMethod, refunds, series] =
+    await Promise.all([
+      db.query(
+        `SELECT COUNT(*) AS total,
+                COUNT(*) FILTER (WHERE status = 'paid') AS paid
+         FROM orders WHERE ${scope}`,
+        params
+      ),
+      db.query(
+        `SELECT COUNT(*) AS total,
+                COUNT(*) FILTER (WHERE status = ANY($5)) AS successful,
+                COUNT(*) FILTER (WHERE status = ANY($6)) AS authorized,
+                COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+                COUNT(*) FILTER (WHERE status = 'created') AS pending,
+                SUM(amount) FILTER (WHERE status = ANY($5)) AS volume,
+                SUM(amount_captured) AS captured_volume
+         FROM payments WHERE ${scope}`,
+        [...params, SUCCESSFUL_STATUSES, AUTHORIZED_STATUSES]
+      ),
+      db.query(
+        `SELECT status, COUNT(*) AS count, SUM(amount) AS amount
+         FROM payments WHERE ${scope}
+         GROUP BY status ORDER BY status`,
+        params
+      ),
+      db.query(
+        `SELECT method, COUNT(*) AS count,
+                COUNT(*) FILTER (WHERE status = ANY($5)) AS successful,
+                SUM(amount) FILTER (WHERE status = ANY($5)) AS volume
+         FROM payments WHERE ${scope}
+         GROUP BY method ORDER BY method`,
+        [...params, SUCCESSFUL_STATUSES]
+      ),
+      db.query(
+        `SELECT COUNT(*) AS total,
+                COUNT(*) FILTER (WHERE status = 'processed') AS processed,
+                COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+                COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+                SUM(amount) FILTER (WHERE status <> 'failed') AS amount,
+                SUM(amount) FILTER (WHERE status = 'processed') AS processed_amount
+         FROM refunds WHERE ${scope}`,
+        params
+      ),
+      // Every bucket in the range is returned, including empty ones
+      db.query(
+        `WITH buckets AS (
+           SELECT generate_series(
+             date_trunc($5, $3::timestamp),
+             $4::timestamp - INTERVAL '1 microsecond',
+             ('1 ' || $5)::interval
+           ) AS period_start
+         ),
+         payment_buckets AS (
+           SELECT date_trunc($5, created_at) AS period_start,
+                  COUNT(*) AS payments,
+                  COUNT(*) FILTER (WHERE status = ANY($6)) AS successful,
+                  SUM(amount) FILTER (WHERE status = ANY($6)) AS volume
+           FROM payments WHERE ${scope}
+           GROUP BY 1
+         ),
+         refund_buckets AS (
+           SELECT date_trunc($5, created_at) AS period_start,
+                  COUNT(*) AS refunds,
+                  SUM(amount) FILTER (WHERE status <> 'failed') AS refund_amount
+           FROM refunds WHERE ${scope}
+           GROUP BY 1
+         )
+         SELECT b.period_start, p.payments, p.successful, p.volume,
+                r.refunds, r.refund_amount
+         FROM buckets b
+         LEFT JOIN payment_buckets p ON p.period_start = b.period_start
+         LEFT JOIN refund_buckets r ON r.period_start = b.period_start
+         ORDER BY b.period_start`,
+        [...params, interval, SUCCESSFUL_STATUSES]
+      ),
+    ]);
+
+  const paymentTotals = payments.rows[0];
+  const total = toNumber(paymentTotals.total);
+  const successful = toNumber(paymentTotals.successful);
+  const authorized = toNumber(paymentTotals.authorized);
+  const pending = toNumber(paymentTotals.pending);
+  const refundTotals = refunds.rows[0];
+
+  return {
+    from,
+    to,
+    interval,
+    currency,
+    orders: {
+      total: toNumber(orders.rows[0].total),
+      paid: toNumber(orders.rows[0].paid),
+    },
+    payments: {
+      total,
+      successful,
+      failed: toNumber(paymentTotals.failed),
+      pending,
+      // Share of finished attempts that were authorized; null until one
+      // finishes
+      success_rate: total > pending ? authorized / (total - pending) : null,
+      volume: toNumber(paymentTotals.volume),
+      captured_volume: toNumber(paymentTotals.captured_volume),
+    },
+    by_status: byStatus.rows.map((row) => ({
+      status: row.status,
+      count: toNumber(row.count),
+      amount: toNumber(row.amount),
+    })),
+    by_method: byMethod.rows.map((row) => ({
+      method: row.method,
+      count: toNumber(row.count),
+      successful: toNumber(row.successful),
+      volume: toNumber(row.volume),
+    })),
+    refunds: {
+      total: toNumber(refundTotals.total),
+      processed: toNumber(refundTotals.processed),
+      pending: toNumber(refundTotals.pending),
+      failed: toNumber(refundTotals.failed),
+      amount: toNumber(refundTotals.amount),
+      processed_amount: toNumber(refundTotals.processed_amount),
+    },
+    series: series.rows.map((row) => ({
+      period_start: row.period_start,
+      payments: toNumber(row.payments),
+      successful_payments: toNumber(row.successful),
+      volume: toNumber(row.volume),
+      refunds: toNumber(row.refunds),
+      refund_amount: toNumber(row.refund_amount),
+    })),
+  };
+}
+
+module.exports = {
+  SUCCESSFUL_STATUSES,
+  STATS_INTERVALS,
+  getStats,
+};
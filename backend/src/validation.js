@@ -0,0 +1,338 @@
+// Request validation shared by every route. Each route declares the body and
+// query string fields it accepts; unknown fields and values of the wrong type
+// are rejected before the handler runs, with error.field and error.reason
+// identifying the offending input.
+
+// Largest value an INTEGER column can hold
+const MAX_INTEGER = 2147483647;
+
+// notes let merchants attach their own references (cart, customer IDs) to
+// orders, payments and refunds. They are echoed in every response and
+// webhook, so they are kept small and flat.
+const NOTES_MAX_KEYS = 15;
+const NOTES_MAX_KEY_LENGTH = 40;
+const NOTES_MAX_VALUE_LENGTH = 256;
+
+class ValidationError extends Error {
+  constructor(field, reason, description) {
+    super(description);
+    this.name = "ValidationError";
+    this.field = field;
+    this.reason = reason;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Query string values arrive as strings and are parsed here; body values
+// must already have the right JSON type
+function checkInteger(field, value, spec, inQuery) {
+  let number = value;
+  if (inQuery) {
+    if (typeof value !== "string" || !/^-?\d+$/.test(value)) {
+      throw new ValidationError(
+        field,
+        "invalid_type",
+        `${field} must be an integer`
+      );
+    }
+    number = Number(value);
+  }
+
+  if (!Number.isSafeInteger(number) || Object.is(number, -0)) {
+    throw new ValidationError(
+      field,
+      "invalid_type",
+      `${field} must be an integer`
+    );
+  }
+
+  const min = spec.min === undefined ? -MAX_INTEGER : spec.min;
+  const max = spec.max === undefined ? MAX_INTEGER : spec.max;
+  if (number < min || number > max) {
+    throw new ValidationError(
+      field,
+      "out_of_range",
+      `${field} must be between ${min} and ${max}`
+    );
+  }
+
+  return number;
+}
+
+function checkBoolean(field, value, inQuery) {
+  if (inQuery && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  if (typeof value !== "boolean") {
+    throw new ValidationError(
+      field,
+      "invalid_type",
+      `${field} must be a boolean`
+    );
+  }
+  return value;
+}
+
+function checkString(field, value, spec) {
+  if (typeof value !== "string") {
+    throw new ValidationError(
+      field,
+      "invalid_type",
+      `${field} must be a string`
+    );
+  }
+
+  if (spec.enum) {
+    if (!spec.enum.includes(value)) {
+      throw new ValidationError(
+        field,
+        "invalid_value",
+        `${field} must be one of: ${spec.enum.join(", ")}`
+      );
+    }
+    return value;
+  }
+
+  if (value.length < (spec.minLength || 0)) {
+    throw new ValidationError(
+      field,
+      "too_short",
+      spec.minLength === 1
+        ? `${field} cannot be empty`
+        : `${field} must be at least ${spec.minLength} characters`
+    );
+  }
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+    throw new ValidationError(
+      field,
+      "too_long",
+      `${field} can be at most ${spec.maxLength} characters`
+    );
+  }
+  if (spec.pattern && !spec.pattern.test(value)) {
+    throw new ValidationError(
+      field,
+      "invalid_format",
+      spec.formatDescription || `${field} has an invalid format`
+    );
+  }
+
+  return value;
+}
+
+// ISO 8601 dates or date-times, e.g. 2024-01-15 or 2024-01-15T10:30:00Z.
+// Returned normalized to UTC.
+function checkTimestamp(field, value) {
+  if (
+    typeof value !== "string" ||
+    !/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) ||
+    Number.isNaN(Date.parse(value))
+  ) {
+    throw new ValidationError(
+      field,
+      "invalid_format",
+      `${field} must be an ISO 8601 date or date-time`
+    );
+  }
+  return new Date(value).toISOString();
+}
+
+// A repeated query parameter (expand=a&expand=b or expand[]=a) arrives as an
+// array, a single one as a string; both are accepted
+function checkArray(field, value, spec, inQuery) {
+  const items = inQuery && typeof value === "string" ? [value] : value;
+  if (!Array.isArray(items)) {
+    throw new ValidationError(
+      field,
+      "invalid_type",
+      `${field} must be an array`
+    );
+  }
+  if (items.length < (spec.minItems || 0)) {
+    throw new ValidationError(
+      field,
+      "too_short",
+      `${field} must have at least ${spec.minItems} item(s)`
+    );
+  }
+  return items.map((item, i) =>
+    checkValue(`${field}[${i}]`, item, spec.items, inQuery)
+  );
+}
+
+function checkNotes(field, value) {
+  if (!isPlainObject(value)) {
+    throw new ValidationError(
+      field,
+      "invalid_type",
+      `${field} must be an object`
+    );
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length > NOTES_MAX_KEYS) {
+    throw new ValidationError(
+      field,
+      "too_many_keys",
+      `${field} can have at most ${NOTES_MAX_KEYS} keys`
+    );
+  }
+
+  for (const key of keys) {
+    const item = value[key];
+    if (key.length > NOTES_MAX_KEY_LENGTH) {
+      throw new ValidationError(
+        `${field}.${key}`,
+        "too_long",
+        `${field} keys can be at most ${NOTES_MAX_KEY_LENGTH} characters`
+      );
+    }
+    if (
+      item !== null &&
+      !["string", "number", "boolean"].includes(typeof item)
+    ) {
+      throw new ValidationError(
+        `${field}.${key}`,
+        "invalid_type",
+        `${field} values must be strings, numbers, booleans or null`
+      );
+    }
+    if (String(item).length > NOTES_MAX_VALUE_LENGTH) {
+      throw new ValidationError(
+        `${field}.${key}`,
+        "too_long",
+        `${field} values can be at most ${NOTES_MAX_VALUE_LENGTH} characters`
+      );
+    }
+  }
+
+  return value;
+}
+
+function checkValue(field, value, spec, inQuery) {
+  switch (spec.type) {
+    case "integer":
+      return checkInteger(field, value, spec, inQuery);
+    case "boolean":
+      return checkBoolean(field, value, inQuery);
+    case "string":
+      return checkString(field, value, spec);
+    case "timestamp":
+      return checkTimestamp(field, value);
+    case "array":
+      return checkArray(field, value, spec, inQuery);
+    case "notes":
+      return checkNotes(field, value);
+    default:
+      throw new Error(`Unknown schema type ${spec.type} for ${field}`);
+  }
+}
+
+// Validates input against schema and returns the parsed values. Fields left
+// out of the input are left out of the result unless the schema gives them a
+// default.
+function validateFields(input, schema, inQuery) {
+  if (!isPlainObject(input)) {
+    throw new ValidationError(
+      null,
+      "invalid_type",
+      "Request body must be a JSON object"
+    );
+  }
+
+  for (const field of Object.keys(input)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      throw new ValidationError(
+        field,
+        "unknown_field",
+        `${field} is not a recognized field`
+      );
+    }
+  }
+
+  const result = {};
+  for (const [field, spec] of Object.entries(schema)) {
+    const value = input[field];
+
+    if (value === undefined || (value === null && spec.nullable)) {
+      if (spec.required) {
+        throw new ValidationError(field, "required", `${field} is required`);
+      }
+      if (value === null) {
+        result[field] = null;
+      } else if (spec.default !== undefined) {
+        result[field] = spec.default;
+      }
+      continue;
+    }
+
+    result[field] = checkValue(field, value, spec, inQuery);
+  }
+
+  return result;
+}
+
+// Express middleware checking req.body and req.query against the given
+// schemas. Every route should declare both, even if empty, so unexpected
+// input is never silently ignored. GET routes leave body out.
+function validateRequest({ body, query = {} } = {}) {
+  return (req, res, next) => {
+    try {
+      if (body) {
+        req.body = validateFields(req.body, body, false);
+      }
+      req.query = validateFields(req.query, query, true);
+      next();
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        return next(error);
+      }
+      sendValidationError(res, error);
+    }
+  };
+}
+
+// Also used by handlers for checks that need the merchant or database, so
+// every field error has the same shape
+function sendValidationError(res, error) {
+  res.status(400).json({
+    error: {
+      code: "BAD_REQUEST_ERROR",
+      description: error.message,
+      field: error.field,
+      reason: error.reason,
+    },
+  });
+}
+
+// Bodies that are not valid JSON never reach validateRequest; report them in
+// the same shape instead of Express's default HTML error page
+function handleInvalidJson(error, req, res, next) {
+  if (error.type !== "entity.parse.failed") {
+    return next(error);
+  }
+  res.status(400).json({
+    error: {
+      code: "BAD_REQUEST_ERROR",
+      description: "Request body is not valid JSON",
+      field: null,
+      reason: "invalid_json",
+    },
+  });
+}
+
+// Shared by the order, payment and refund schemas
+const notesField = { type: "notes", default: {} };
+
+module.exports = {
+  MAX_INTEGER,
+  ValidationError,
+  validateFields,
+  validateRequest,
+  sendValidationError,
+  handleInvalidJson,
+  notesField,
+};
@@ -2,7 +2,17 @@ const { Worker, Queue } = require("bullmq");
 const { Pool } = require("pg");
 const Redis = require("ioredis");
 const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { finished } = require("stream/promises");
 const axios = require("axios");
+const {
+  CAPTURED_STATUSES,
+  transitionPayment,
+  capturePayment,
+  reopenOrder,
+} = require("./paymentStates");
+const { exportFilePath, writeExport, streamWriter } = require("./exports");
 
 // Database connection
 const pool = new Pool({
@@ -14,14 +24,27 @@ const redis = new Redis(process.env.REDIS_URL, { maxRetriesPerRequest: null });
 
 // Job queues
 const webhookQueue = new Queue("webhook-delivery", { connection: redis });
+const expiryQueue = new Queue("payment-expiry", { connection: redis });
 
 // Environment configuration
 const TEST_MODE = process.env.TEST_MODE === "true";
 const TEST_PROCESSING_DELAY =
   parseInt(process.env.TEST_PROCESSING_DELAY) || 1000;
 const TEST_PAYMENT_SUCCESS = process.env.TEST_PAYMENT_SUCCESS !== "false";
+const TEST_REFUND_SUCCESS = process.env.TEST_REFUND_SUCCESS !== "false";
 const WEBHOOK_RETRY_INTERVALS_TEST =
   process.env.WEBHOOK_RETRY_INTERVALS_TEST === "true";
+const AUTHORIZATION_EXPIRY_CHECK_INTERVAL =
+  parseInt(process.env.AUTHORIZATION_EXPIRY_CHECK_INTERVAL) || 60000;
+const ORDER_EXPIRY_CHECK_INTERVAL =
+  parseInt(process.env.ORDER_EXPIRY_CHECK_INTERVAL) || 60000;
+// Merchants set expiry windows in minutes; in test mode a minute can be
+// shortened so tests don't have to wait them out
+const TEST_EXPIRY_MINUTE_MS =
+  parseInt(process.env.TEST_EXPIRY_MINUTE_MS) || 60000;
+const EXPIRY_MINUTE_SECONDS =
+  (TEST_MODE ? TEST_EXPIRY_MINUTE_MS : 60000) / 1000;
+const EXPORT_EXPIRY_CHECK_INTERVAL = 60 * 60 * 1000;
 
 // Retry intervals in milliseconds
 const PRODUCTION_RETRY_INTERVALS = [0, 60000, 300000, 1800000, 7200000]; // 0, 1min, 5min, 30min, 2hr
@@ -38,6 +61,66 @@ function generateSignature(payload, secret) {
   return crypto.createHmac("sha256", secret).update(payload).digest("hex");
 }
 
+// Runs fn(client) inside a transaction on a dedicated connection
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Authorizes a payment and marks its order paid together. Only one payment
+// may pay an order, so if the order is already paid or has expired nothing
+// changes and null is returned.
+async function authorizePayment(payment) {
+  return withTransaction(async (client) => {
+    const orderResult = await client.query(
+      `UPDATE orders SET status = 'paid', updated_at = NOW()
+       WHERE id = $1 AND status IN ('created', 'attempted')
+       RETURNING *`,
+      [payment.order_id]
+    );
+
+    if (orderResult.rows.length === 0) {
+      return null;
+    }
+
+    const authorized = await transitionPayment(
+      client,
+      payment,
+      "authorized",
+      "Authorized by payment processor",
+      { authorized_at: new Date().toISOString() }
+    );
+
+    return { payment: authorized, order: orderResult.rows[0] };
+  });
+}
+
+// Fails a payment and records the attempt on its order
+async function failPayment(payment, failure) {
+  return withTransaction(async (client) => {
+    await client.query(
+      `UPDATE orders SET status = 'attempted', updated_at = NOW()
+       WHERE id = $1 AND status = 'created'`,
+      [payment.order_id]
+    );
+
+    return transitionPayment(client, payment, "failed", failure.reason, {
+      error_code: failure.code,
+      error_description: failure.description,
+    });
+  });
+}
+
 // Payment Worker
 const paymentWorker = new Worker(
   "payment-processing",
@@ -48,7 +131,11 @@ const paymentWorker = new Worker(
     try {
       // Fetch payment
       const paymentResult = await pool.query(
-        "SELECT p.*, m.webhook_url, m.webhook_secret FROM payments p JOIN merchants m ON p.merchant_id = m.id WHERE p.id = $1",
+        `SELECT p.*, m.webhook_url, m.webhook_secret, o.capture_mode
+         FROM payments p
+         JOIN merchants m ON p.merchant_id = m.id
+         JOIN orders o ON p.order_id = o.id
+         WHERE p.id = $1`,
         [paymentId]
       );
 
@@ -59,6 +146,12 @@ const paymentWorker = new Worker(
 
       const payment = paymentResult.rows[0];
 
+      // Retried jobs must not process a payment twice
+      if (payment.status !== "created") {
+        console.log(`Payment ${paymentId} already ${payment.status}, skipping`);
+        return;
+      }
+
       // Simulate processing delay
       const delay = TEST_MODE
         ? TEST_PROCESSING_DELAY
@@ -74,18 +167,15 @@ const paymentWorker = new Worker(
         isSuccess = Math.random() < successRate;
       }
 
-      const now = new Date().toISOString();
+      const authorization = isSuccess ? await authorizePayment(payment) : null;
 
-      if (isSuccess) {
-        await pool.query(
-          `UPDATE payments SET status = 'success', updated_at = $1 WHERE id = $2`,
-          [now, paymentId]
-        );
-        console.log(`Payment ${paymentId} succeeded`);
+      if (authorization) {
+        const authorized = authorization.payment;
+        console.log(`Payment ${paymentId} authorized`);
 
-        // Enqueue webhook for success
+        // Enqueue webhooks for authorization and the now-paid order
         if (payment.webhook_url) {
-          await enqueueWebhook(payment.merchant_id, "payment.success", {
+          await enqueueWebhook(payment.merchant_id, "payment.authorized", {
             payment: {
               id: payment.id,
               order_id: payment.order_id,
@@ -93,17 +183,71 @@ const paymentWorker = new Worker(
               currency: payment.currency,
               method: payment.method,
               ...(payment.vpa && { vpa: payment.vpa }),
-              status: "success",
+              ...(payment.email && { email: payment.email }),
+              status: "authorized",
+              notes: payment.notes,
               created_at: payment.created_at,
             },
           });
+          await enqueueWebhook(payment.merchant_id, "order.paid", {
+            order: {
+              id: authorization.order.id,
+              amount: authorization.order.amount,
+              currency: authorization.order.currency,
+              receipt: authorization.order.receipt,
+              status: "paid",
+              payment_id: payment.id,
+              notes: authorization.order.notes,
+              created_at: authorization.order.created_at,
+            },
+          });
+        }
+
+        // Orders in automatic capture mode skip the separate capture call
+        if (payment.capture_mode === "automatic") {
+          const captured = await capturePayment(
+            pool,
+            authorized,
+            authorized.amount,
+            { final: true, reason: "Captured automatically" }
+          );
+          console.log(`Payment ${paymentId} captured automatically`);
+
+          if (payment.webhook_url) {
+            await enqueueWebhook(payment.merchant_id, "payment.captured", {
+              payment: {
+                id: captured.id,
+                order_id: captured.order_id,
+                amount: captured.amount,
+                amount_captured: captured.amount_captured,
+                currency: captured.currency,
+                method: captured.method,
+                ...(captured.vpa && { vpa: captured.vpa }),
+                ...(captured.email && { email: captured.email }),
+                status: "captured",
+                notes: captured.notes,
+                created_at: captured.created_at,
+              },
+            });
+          }
         }
       } else {
-        await pool.query(
-          `UPDATE payments SET status = 'failed', error_code = 'PAYMENT_FAILED', error_description = 'Payment processing failed', updated_at = $1 WHERE id = $2`,
-          [now, paymentId]
-        );
-        console.log(`Payment ${paymentId} failed`);
+        // Either the processor declined, or another payment paid the order
+        // (or it expired) while this one was processing
+        const failure = isSuccess
+          ? {
+              reason: "Order already paid or expired",
+              code: "ORDER_NOT_PAYABLE",
+              description: "Order is already paid or has expired",
+            }
+          : {
+              reason: "Declined by payment processor",
+              code: "PAYMENT_FAILED",
+              description: "Payment processing failed",
+            };
+
+        await failPayment(payment, failure);
+        console.log(`Payment ${paymentId} failed: ${failure.code}`);
 
         // Enqueue webhook for failure
         if (payment.webhook_url) {
@@ -115,8 +259,9 @@ const paymentWorker = new Worker(
               currency: payment.currency,
               method: payment.method,
               status: "failed",
-              error_code: "PAYMENT_FAILED",
-              error_description: "Payment processing failed",
+              error_code: failure.code,
+              error_description: failure.description,
+              notes: payment.notes,
               created_at: payment.created_at,
             },
           });
@@ -155,27 +300,103 @@ const refundWorker = new Worker(
 
       const refund = refundResult.rows[0];
 
-      // Verify payment is refundable
-      if (refund.payment_status !== "success") {
-        console.error(
-          `Payment ${refund.payment_id} is not in refundable state`
-        );
+      // Retried jobs must not process a refund twice
+      if (refund.status !== "pending") {
+        console.log(`Refund ${refundId} already ${refund.status}, skipping`);
         return;
       }
 
-      // Simulate processing delay
-      const delay = TEST_MODE
-        ? TEST_PROCESSING_DELAY
-        : Math.floor(Math.random() * 2000) + 3000;
-      await new Promise((resolve) => setTimeout(resolve, delay));
+      let failure = null;
+      if (!CAPTURED_STATUSES.includes(refund.payment_status)) {
+        failure = {
+          code: "PAYMENT_NOT_REFUNDABLE",
+          description: "Payment is no longer in a refundable state",
+        };
+      } else {
+        // Simulate processing delay
+        const delay = TEST_MODE
+          ? TEST_PROCESSING_DELAY
+          : Math.floor(Math.random() * 2000) + 3000;
+        await new Promise((resolve) => setTimeout(resolve, delay));
+
+        // Determine success based on test mode, unless the request forced
+        // this refund to fail
+        let isSuccess;
+        if (job.data.forceFailure) {
+          isSuccess = false;
+        } else if (TEST_MODE) {
+          isSuccess = TEST_REFUND_SUCCESS;
+        } else {
+          isSuccess = Math.random() < 0.95;
+        }
+        if (!isSuccess) {
+          failure = {
+            code: "REFUND_FAILED",
+            description: "Refund was declined by the payment processor",
+          };
+        }
+      }
+
+      if (failure) {
+        // Failed refunds are left out of the refunded total, which gives
+        // their amount back to the payment's refundable balance
+        const updated = await pool.query(
+          `UPDATE refunds
+           SET status = 'failed', error_code = $1, error_description = $2
+           WHERE id = $3 AND status = 'pending'`,
+          [failure.code, failure.description, refundId]
+        );
+        if (updated.rowCount === 0) {
+          console.log(`Refund ${refundId} settled by another job, skipping`);
+          return;
+        }
+        console.log(`Refund ${refundId} failed: ${failure.code}`);
+
+        // Enqueue webhook for refund failure
+        if (refund.webhook_url) {
+          await enqueueWebhook(refund.merchant_id, "refund.failed", {
+            refund: {
+              id: refund.id,
+              payment_id: refund.payment_id,
+              amount: refund.amount,
+              currency: refund.currency,
+              reason: refund.reason,
+              status: "failed",
+              error_code: failure.code,
+              error_description: failure.description,
+              notes: refund.notes,
+              created_at: refund.created_at,
+            },
+          });
+        }
+        return;
+      }
 
       const now = new Date().toISOString();
 
-      // Update refund status
-      await pool.query(
-        `UPDATE refunds SET status = 'processed', processed_at = $1 WHERE id = $2`,
-        [now, refundId]
-      );
+      // Mark the refund processed and add it to the payment's refunded
+      // amount together, so amount_refunded always matches its refunds
+      const processed = await withTransaction(async (client) => {
+        const updated = await client.query(
+          `UPDATE refunds SET status = 'processed', processed_at = $1
+           WHERE id = $2 AND status = 'pending'`,
+          [now, refundId]
+        );
+        if (updated.rowCount === 0) {
+          return false;
+        }
+        await client.query(
+          `UPDATE payments
+           SET amount_refunded = amount_refunded + $1, updated_at = NOW()
+           WHERE id = $2`,
+          [refund.amount, refund.payment_id]
+        );
+        return true;
+      });
+      if (!processed) {
+        console.log(`Refund ${refundId} settled by another job, skipping`);
+        return;
+      }
       console.log(`Refund ${refundId} processed`);
 
       // Enqueue webhook for refund processed
@@ -185,8 +406,10 @@ const refundWorker = new Worker(
             id: refund.id,
             payment_id: refund.payment_id,
             amount: refund.amount,
+            currency: refund.currency,
             reason: refund.reason,
             status: "processed",
+            notes: refund.notes,
             created_at: refund.created_at,
             processed_at: now,
           },
@@ -200,6 +423,248 @@ const refundWorker = new Worker(
   { connection: redis }
 );
 
+// Settles one expired authorization. The row is locked and re-checked so a
+// capture or void that lands while the job runs wins cleanly.
+async function expireAuthorization(paymentId) {
+  const client = await pool.connect();
+  let payment;
+  let expired;
+  let event;
+
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `SELECT p.*, m.webhook_url, m.authorization_expiry_action
+       FROM payments p JOIN merchants m ON p.merchant_id = m.id
+       WHERE p.id = $1 AND p.status IN ('authorized', 'partially_captured')
+       FOR UPDATE OF p SKIP LOCKED`,
+      [paymentId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return;
+    }
+
+    payment = result.rows[0];
+
+    if (payment.authorization_expiry_action === "capture") {
+      // Capture whatever is still uncaptured
+      expired = await capturePayment(
+        client,
+        payment,
+        payment.amount - payment.amount_captured,
+        { final: true, reason: "Authorization expired, captured automatically" }
+      );
+      event = "payment.captured";
+    } else if (payment.status === "partially_captured") {
+      // Keep what was already captured and release the rest
+      expired = await capturePayment(client, payment, 0, {
+        final: true,
+        reason: "Authorization expired, uncaptured remainder released",
+      });
+      event = "payment.released";
+    } else {
+      expired = await transitionPayment(
+        client,
+        payment,
+        "voided",
+        "Authorization expired, voided automatically"
+      );
+      await reopenOrder(client, payment.order_id);
+      event = "payment.voided";
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log(`Payment ${paymentId} authorization expired: ${expired.status}`);
+
+  if (payment.webhook_url) {
+    await enqueueWebhook(payment.merchant_id, event, {
+      payment: {
+        id: expired.id,
+        order_id: expired.order_id,
+        amount: expired.amount,
+        amount_captured: expired.amount_captured,
+        ...(event === "payment.released" && {
+          amount_released: expired.amount - expired.amount_captured,
+        }),
+        currency: expired.currency,
+        method: expired.method,
+        status: expired.status,
+        notes: expired.notes,
+        created_at: expired.created_at,
+      },
+    });
+  }
+}
+
+async function expireAuthorizations() {
+  // Each merchant sets its own window, so compare per row
+  const result = await pool.query(
+    `SELECT p.id
+     FROM payments p JOIN merchants m ON p.merchant_id = m.id
+     WHERE p.status IN ('authorized', 'partially_captured')
+       AND p.authorized_at < NOW() - make_interval(secs => m.authorization_expiry_minutes * $1::float8)
+     ORDER BY p.authorized_at ASC
+     LIMIT 100`,
+    [EXPIRY_MINUTE_SECONDS]
+  );
+
+  for (const { id } of result.rows) {
+    try {
+      await expireAuthorization(id);
+    } catch (error) {
+      // Leave it for the next run rather than failing the whole batch
+      console.error(`Error expiring payment ${id}:`, error);
+    }
+  }
+}
+
+// Expires unpaid orders older than the merchant's order_expiry_minutes.
+// Orders with a payment still processing are left alone so that payment can
+// finish against a payable order.
+async function expireOrders() {
+  const result = await pool.query(
+    `UPDATE orders o SET status = 'expired', updated_at = NOW()
+     FROM merchants m
+     WHERE o.merchant_id = m.id
+       AND o.id IN (
+         SELECT o2.id FROM orders o2 JOIN merchants m2 ON o2.merchant_id = m2.id
+         WHERE o2.status IN ('created', 'attempted')
+           AND o2.created_at < NOW() - make_interval(secs => m2.order_expiry_minutes * $1::float8)
+           AND NOT EXISTS (
+             SELECT 1 FROM payments p WHERE p.order_id = o2.id AND p.status = 'created'
+           )
+         ORDER BY o2.created_at ASC
+         LIMIT 500
+         FOR UPDATE OF o2 SKIP LOCKED
+       )
+     RETURNING o.*, m.webhook_url`,
+    [EXPIRY_MINUTE_SECONDS]
+  );
+
+  for (const order of result.rows) {
+    console.log(`Order ${order.id} expired`);
+
+    if (order.webhook_url) {
+      await enqueueWebhook(order.merchant_id, "order.expired", {
+        order: {
+          id: order.id,
+          amount: order.amount,
+          currency: order.currency,
+          receipt: order.receipt,
+          status: "expired",
+          notes: order.notes,
+          created_at: order.created_at,
+        },
+      });
+    }
+  }
+}
+
+// Writes a background export to its file, recording progress after each
+// batch so the dashboard can show it
+async function generateExport(exportId) {
+  const result = await pool.query(
+    `UPDATE exports SET status = 'processing'
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [exportId]
+  );
+
+  if (result.rows.length === 0) {
+    console.error(`Export not pending: ${exportId}`);
+    return;
+  }
+
+  const exp = result.rows[0];
+  const filePath = exportFilePath(exp.id, exp.format);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const file = fs.createWriteStream(filePath);
+
+  try {
+    const written = await writeExport(
+      pool,
+      {
+        type: exp.type,
+        format: exp.format,
+        merchantId: exp.merchant_id,
+        filters: exp.filters,
+      },
+      streamWriter(file),
+      (rows) =>
+        pool.query("UPDATE exports SET processed_rows = $1 WHERE id = $2", [
+          rows,
+          exp.id,
+        ])
+    );
+    file.end();
+    await finished(file);
+
+    // Rows may have been created since the API counted them
+    await pool.query(
+      `UPDATE exports
+       SET status = 'completed', processed_rows = $1, total_rows = $1, completed_at = NOW()
+       WHERE id = $2`,
+      [written, exp.id]
+    );
+    console.log(`Export ${exp.id} completed: ${written} rows`);
+  } catch (error) {
+    file.destroy();
+    await fs.promises.rm(filePath, { force: true });
+    await pool.query(
+      `UPDATE exports SET status = 'failed', error_description = $1
+       WHERE id = $2`,
+      ["Export generation failed", exp.id]
+    );
+    throw error;
+  }
+}
+
+// Deletes export files once they pass expires_at
+async function expireExports() {
+  const result = await pool.query(
+    `UPDATE exports SET status = 'expired'
+     WHERE expires_at < NOW() AND status <> 'expired'
+     RETURNING id, format`
+  );
+
+  for (const exp of result.rows) {
+    await fs.promises.rm(exportFilePath(exp.id, exp.format), { force: true });
+    console.log(`Export ${exp.id} expired`);
+  }
+}
+
+// Expiry Worker
+const expiryWorker = new Worker(
+  "payment-expiry",
+  async (job) => {
+    if (job.name === "expire-orders") {
+      await expireOrders();
+    } else if (job.name === "expire-exports") {
+      await expireExports();
+    } else {
+      await expireAuthorizations();
+    }
+  },
+  { connection: redis }
+);
+
+// Export Worker
+const exportWorker = new Worker(
+  "export-generation",
+  async (job) => {
+    await generateExport(job.data.exportId);
+  },
+  { connection: redis }
+);
+
 // Webhook Worker
 const webhookWorker = new Worker(
   "webhook-delivery",
@@ -364,6 +829,58 @@ webhookWorker.on("failed", (job, err) => {
   console.error(`Webhook job ${job.id} failed:`, err);
 });
 
+expiryWorker.on("failed", (job, err) => {
+  console.error(`Expiry job ${job.id} failed:`, err);
+});
+
+exportWorker.on("failed", (job, err) => {
+  console.error(`Export job ${job.id} failed:`, err);
+});
+
+// Repeatable jobs are keyed by name and schedule, so restarting the worker
+// does not register a second copy
+expiryQueue
+  .add(
+    "expire-authorizations",
+    {},
+    {
+      repeat: { every: AUTHORIZATION_EXPIRY_CHECK_INTERVAL },
+      removeOnComplete: true,
+      removeOnFail: 100,
+    }
+  )
+  .catch((error) => {
+    console.error("Failed to schedule authorization expiry job:", error);
+  });
+
+expiryQueue
+  .add(
+    "expire-orders",
+    {},
+    {
+      repeat: { every: ORDER_EXPIRY_CHECK_INTERVAL },
+      removeOnComplete: true,
+      removeOnFail: 100,
+    }
+  )
+  .catch((error) => {
+    console.error("Failed to schedule order expiry job:", error);
+  });
+
+expiryQueue
+  .add(
+    "expire-exports",
+    {},
+    {
+      repeat: { every: EXPORT_EXPIRY_CHECK_INTERVAL },
+      removeOnComplete: true,
+      removeOnFail: 100,
+    }
+  )
+  .catch((error) => {
+    console.error("Failed to schedule export expiry job:", error);
+  });
+
 console.log("Worker service started");
 console.log(`Test Mode: ${TEST_MODE}`);
 console.log(`Webhook Retry Test Mode: ${WEBHOOK_RETRY_INTERVALS_TEST}`);
@@ -3,8 +3,20 @@ import axios from "axios";
 
 const API_URL = process.env.REACT_APP_API_URL || "http://localhost:8000";
 
+// Amounts are integers in the currency's minor unit; currency is the
+// registry entry from /api/v1/currencies
+function formatAmount(amount, currency) {
+  if (!currency) {
+    return (amount / 100).toFixed(2);
+  }
+  return `${currency.symbol}${(amount / 10 ** currency.exponent).toFixed(
+    currency.exponent
+  )}`;
+}
+
 function App() {
   const [order, setOrder] = useState(null);
+  const [currency, setCurrency] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [paymentMethod, setPaymentMethod] = useState("upi");
@@ -12,12 +24,13 @@ function App() {
   const [cardNumber, setCardNumber] = useState("");
   const [cardExpiry, setCardExpiry] = useState("");
   const [cardCvv, setCardCvv] = useState("");
+  const [email, setEmail] = useState("");
   const [processing, setProcessing] = useState(false);
   const [paymentStatus, setPaymentStatus] = useState(null);
 
   const urlParams = new URLSearchParams(window.location.search);
   const orderId = urlParams.get("order_id");
-  const apiKey = urlParams.get("key") || "key_test_abc123";
+  const apiKey = urlParams.get("key") || "pk_test_abc123";
   const embedded = urlParams.get("embedded") === "true";
 
   useEffect(() => {
@@ -31,13 +44,20 @@ function App() {
 
   const fetchOrder = async () => {
     try {
-      const response = await axios.get(`${API_URL}/api/v1/orders/${orderId}`, {
-        headers: {
-          "X-Api-Key": apiKey,
-          "X-Api-Secret": "secret_test_xyz789",
-        },
-      });
+      const [response, currenciesResponse] = await Promise.all([
+        axios.get(`${API_URL}/api/v1/orders/${orderId}`, {
+          headers: {
+            "X-Api-Key": apiKey,
+          },
+        }),
+        axios.get(`${API_URL}/api/v1/currencies`),
+      ]);
       setOrder(response.data);
+      setCurrency(
+        currenciesResponse.data.data.find(
+          (entry) => entry.code === response.data.currency
+        )
+      );
     } catch (err) {
       setError("Failed to fetch order details");
     } finally {
@@ -63,13 +83,16 @@ function App() {
         paymentData.card_cvv = cardCvv;
       }
 
+      if (email) {
+        paymentData.email = email;
+      }
+
       const response = await axios.post(
         `${API_URL}/api/v1/payments`,
         paymentData,
         {
           headers: {
             "X-Api-Key": apiKey,
-            "X-Api-Secret": "secret_test_xyz789",
             "Content-Type": "application/json",
           },
         }
@@ -245,7 +268,7 @@ function App() {
             <div className="flex justify-between items-center">
               <span className="text-gray-600">Amount</span>
               <span className="text-2xl font-bold text-black">
-                ₹{(order.amount / 100).toFixed(2)}
+                {formatAmount(order.amount, currency)}
               </span>
             </div>
             <div className="text-sm text-gray-500 mt-1">Order: {order.id}</div>
@@ -284,6 +307,19 @@ function App() {
           </div>
 
           <form onSubmit={handlePayment}>
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Email (optional)
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="you@example.com"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+                data-test-id="email-input"
+              />
+            </div>
             {paymentMethod === "upi" ? (
               <div className="mb-6">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -356,7 +392,7 @@ function App() {
             >
               {processing
                 ? "Processing..."
-                : `Pay ₹${(order.amount / 100).toFixed(2)}`}
+                : `Pay ${formatAmount(order.amount, currency)}`}
             </button>
           </form>
         </div>
@@ -1,10 +1,11 @@
-import React from "react";
+import React, { useState, useEffect } from "react";
 import {
   BrowserRouter as Router,
   Routes,
   Route,
   Link,
   useLocation,
+  useNavigate,
 } from "react-router-dom";
 import Dashboard from "./pages/Dashboard.jsx";
 import Orders from "./pages/Orders.jsx";
@@ -12,12 +13,52 @@ import Payments from "./pages/Payments.jsx";
 import Refunds from "./pages/Refunds.jsx";
 import Webhooks from "./pages/Webhooks.jsx";
 import Docs from "./pages/Docs.jsx";
+import ApiKeys from "./pages/ApiKeys.jsx";
+import Login from "./pages/Login.jsx";
+import Team from "./pages/Team.jsx";
+import Search from "./pages/Search.jsx";
+import PaymentDetail from "./pages/PaymentDetail.jsx";
+import api, { onUnauthorized } from "./api";
+import { SessionContext } from "./session";
+import { loadCurrencies } from "./currency";
 
-function Sidebar() {
+// Searches orders, payments and refunds from any page
+function SearchBox() {
+  const [query, setQuery] = useState("");
+  const navigate = useNavigate();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const q = query.trim();
+    if (q.length >= 2) {
+      navigate(`/search?q=${encodeURIComponent(q)}`);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="px-6 pt-6"
+      data-test-id="search-form"
+    >
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search ID, receipt, VPA, email..."
+        className="w-full px-3 py-2 bg-gray-900 border border-gray-700 rounded text-sm text-white placeholder-gray-500 focus:outline-none focus:border-white"
+        data-test-id="search-input"
+      />
+    </form>
+  );
+}
+
+function Sidebar({ session, onLogout }) {
   const location = useLocation();
 
+  // Detail pages such as /payments/:id keep their list highlighted
   const isActive = (path) =>
-    location.pathname === path
+    location.pathname === path || location.pathname.startsWith(`${path}/`)
       ? "bg-white text-black"
       : "text-gray-400 hover:bg-gray-800 hover:text-white";
 
@@ -29,6 +70,7 @@ function Sidebar() {
       <div className="p-6 border-b border-gray-800">
         <h1 className="text-xl font-bold">Payment Gateway</h1>
       </div>
+      <SearchBox />
       <nav className="mt-6">
         <ul className="space-y-1">
           <li>
@@ -84,6 +126,30 @@ function Sidebar() {
               Webhooks
             </Link>
           </li>
+          {(session.permissions || []).includes("keys:manage") && (
+            <li>
+              <Link
+                to="/dashboard/keys"
+                className={`block px-6 py-3 transition-all ${isActive(
+                  "/dashboard/keys"
+                )}`}
+                data-test-id="nav-api-keys"
+              >
+                API Keys
+              </Link>
+            </li>
+          )}
+          <li>
+            <Link
+              to="/dashboard/team"
+              className={`block px-6 py-3 transition-all ${isActive(
+                "/dashboard/team"
+              )}`}
+              data-test-id="nav-team"
+            >
+              Team
+            </Link>
+          </li>
           <li>
             <Link
               to="/dashboard/docs"
@@ -97,27 +163,94 @@ function Sidebar() {
           </li>
         </ul>
       </nav>
+      <div className="p-6 mt-6 border-t border-gray-800">
+        <div className="text-sm font-semibold" data-test-id="merchant-name">
+          {session.merchant.name}
+        </div>
+        {session.user && (
+          <div className="text-xs text-gray-400 mb-4">
+            {session.user.email} &middot; {session.user.role}
+          </div>
+        )}
+        <button
+          onClick={onLogout}
+          className="text-sm text-gray-400 hover:text-white transition"
+          data-test-id="logout-button"
+        >
+          Log out
+        </button>
+      </div>
     </div>
   );
 }
 
 function App() {
-  return (
-    <Router>
-      <div className="flex min-h-screen bg-gray-100">
-        <Sidebar />
-        <main className="flex-1 p-8">
-          <Routes>
-            <Route path="/" element={<Dashboard />} />
-            <Route path="/orders" element={<Orders />} />
-            <Route path="/payments" element={<Payments />} />
-            <Route path="/refunds" element={<Refunds />} />
-            <Route path="/dashboard/webhooks" element={<Webhooks />} />
-            <Route path="/dashboard/docs" element={<Docs />} />
-          </Routes>
-        </main>
+  const [session, setSession] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(true);
+
+  useEffect(() => {
+    onUnauthorized(() => setSession(null));
+    fetchSession();
+  }, []);
+
+  const fetchSession = async () => {
+    try {
+      const [response] = await Promise.all([
+        api.get("/api/v1/auth/me"),
+        loadCurrencies(),
+      ]);
+      setSession(response.data);
+    } catch (error) {
+      setSession(null);
+    } finally {
+      setCheckingSession(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await api.post("/api/v1/auth/logout");
+    } catch (error) {
+      console.error("Error logging out:", error);
+    } finally {
+      setSession(null);
+    }
+  };
+
+  if (checkingSession) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-100">
+        <div className="text-gray-500">Loading...</div>
       </div>
-    </Router>
+    );
+  }
+
+  if (!session) {
+    return <Login onLogin={setSession} />;
+  }
+
+  return (
+    <SessionContext.Provider value={session}>
+      <Router>
+        <div className="flex min-h-screen bg-gray-100">
+          <Sidebar session={session} onLogout={handleLogout} />
+          <main className="flex-1 p-8">
+            <Routes>
+              <Route path="/" element={<Dashboard />} />
+              <Route path="/orders" element={<Orders />} />
+              <Route path="/payments" element={<Payments />} />
+              <Route path="/payments/:id" element={<PaymentDetail />} />
+              <Route path="/refunds" element={<Refunds />} />
+              <Route path="/dashboard/webhooks" element={<Webhooks />} />
+              <Route path="/dashboard/keys" element={<ApiKeys />} />
+              <Route path="/dashboard/team" element={<Team />} />
+              <Route path="/dashboard/docs" element={<Docs />} />
+              <Route path="/search" element={<Search />} />
+            </Routes>
+          </main>
+        </div>
+      </Router>
+    </SessionContext.Provider>
   );
 }
 
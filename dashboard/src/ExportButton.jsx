@@ -0,0 +1,180 @@
+import React, { useState } from "react";
+import api from "./api";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 1000;
+
+function saveFile(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Error bodies arrive as blobs too, since exports are requested as files
+async function errorDescription(error, fallback) {
+  const data = error.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).error?.description || fallback;
+    } catch (parseError) {
+      return fallback;
+    }
+  }
+  return data?.error?.description || fallback;
+}
+
+// Exports a list (orders, payments or refunds) for a date range. Small
+// exports download at once; large ones run in the background and show
+// progress until the file is ready.
+function ExportButton({ type }) {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState("csv");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [exporting, setExporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fileName = `${type}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  const waitForExport = async (exp) => {
+    while (exp.status === "pending" || exp.status === "processing") {
+      setProgress(exp);
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+      exp = (await api.get(`/api/v1/exports/${exp.id}`)).data;
+    }
+    if (exp.status !== "completed") {
+      throw new Error(exp.error_description || "Export failed");
+    }
+    setProgress(exp);
+    const file = await api.get(exp.download_url, { responseType: "blob" });
+    saveFile(file.data, fileName);
+  };
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    setExporting(true);
+    setProgress(null);
+    setError(null);
+
+    const params = new URLSearchParams({ format });
+    if (from) {
+      params.set("from", from);
+    }
+    if (to) {
+      // The picked end date is included, so the range ends the day after
+      params.set(
+        "to",
+        new Date(new Date(to).getTime() + DAY_MS).toISOString().slice(0, 10)
+      );
+    }
+
+    try {
+      const response = await api.get(`/api/v1/${type}/export?${params}`, {
+        responseType: "blob",
+      });
+      if (response.status === 202) {
+        await waitForExport(JSON.parse(await response.data.text()));
+      } else {
+        saveFile(response.data, fileName);
+      }
+      setOpen(false);
+    } catch (err) {
+      console.error(`Error exporting ${type}:`, err);
+      setError(
+        err.response
+          ? await errorDescription(err, "Export failed")
+          : err.message || "Export failed"
+      );
+    } finally {
+      setExporting(false);
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="relative" data-test-id="export">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="px-4 py-2 border border-gray-300 bg-white rounded-lg hover:bg-gray-50 transition text-sm"
+        data-test-id="export-button"
+      >
+        Export
+      </button>
+
+      {open && (
+        <form
+          onSubmit={handleExport}
+          className="absolute right-0 mt-2 w-72 bg-white border border-gray-200 rounded-lg p-4 z-10 space-y-3"
+          data-test-id="export-form"
+        >
+          <select
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+            data-test-id="export-format"
+          >
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+          </select>
+          <label className="block text-sm text-gray-600">
+            From
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+              data-test-id="export-from"
+            />
+          </label>
+          <label className="block text-sm text-gray-600">
+            To
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              className="w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+              data-test-id="export-to"
+            />
+          </label>
+
+          {progress && (
+            <div
+              className="text-sm text-gray-600"
+              data-test-id="export-progress"
+            >
+              {progress.status === "completed"
+                ? "Downloading..."
+                : `Exporting ${progress.processed_rows} of ${progress.total_rows} rows...`}
+            </div>
+          )}
+          {error && (
+            <div
+              className="p-2 rounded bg-gray-800 text-white text-sm"
+              data-test-id="export-error"
+            >
+              {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={exporting}
+            className="w-full py-2 bg-black text-white rounded-lg hover:bg-gray-800 transition disabled:bg-gray-400"
+            data-test-id="export-submit"
+          >
+            {exporting ? "Exporting..." : "Download"}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ExportButton;
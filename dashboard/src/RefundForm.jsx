@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from "react";
+import api from "./api";
+import { formatAmount, toMinorUnits } from "./currency";
+
+const POLL_INTERVAL_MS = 2000;
+
+// Statuses where money has moved and can be refunded, as on the backend
+export const REFUNDABLE_STATUSES = ["captured", "partially_captured"];
+
+// Pending and processed refunds count against the balance, as on the
+// backend; failed ones gave nothing back
+function refundedAmount(refunds) {
+  return refunds
+    .filter((refund) => refund.status !== "failed")
+    .reduce((sum, refund) => sum + refund.amount, 0);
+}
+
+function getStatusStyle(status) {
+  switch (status) {
+    case "processed":
+      return "bg-black text-white";
+    case "pending":
+      return "bg-gray-300 text-black";
+    case "failed":
+      return "bg-gray-600 text-white";
+    default:
+      return "bg-gray-100 text-black";
+  }
+}
+
+// Refunds all or part of a captured payment, given with its refunds sub-list.
+// Shows the refundable balance, then follows the new refund until the worker
+// has processed it. onChange is called whenever a refund is created or
+// changes status, so the caller can reload the payment.
+function RefundForm({ payment, onChange = () => {} }) {
+  const [full, setFull] = useState(true);
+  const [amount, setAmount] = useState("");
+  const [reason, setReason] = useState("");
+  const [refund, setRefund] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Polls the new refund while the worker is still processing it
+  useEffect(() => {
+    if (!refund || refund.status !== "pending") {
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get(`/api/v1/refunds/${refund.id}`);
+        setRefund(response.data);
+        if (response.data.status !== refund.status) {
+          onChange(response.data);
+        }
+      } catch (err) {
+        console.error("Error fetching refund:", err);
+        // A new object schedules the next attempt
+        setRefund({ ...refund });
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [refund]);
+
+  // Only captured money can be given back, so the balance starts there
+  const balance = payment.amount_captured - refundedAmount(payment.refunds);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const refundAmount = full
+      ? balance
+      : toMinorUnits(amount, payment.currency);
+    if (!(refundAmount > 0) || refundAmount > balance) {
+      setError(
+        `Enter an amount up to ${formatAmount(balance, payment.currency)}`
+      );
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await api.post(
+        `/api/v1/payments/${payment.id}/refunds`,
+        { amount: refundAmount, ...(reason && { reason }) }
+      );
+      setRefund(response.data);
+      setAmount("");
+      setReason("");
+      setFull(true);
+      onChange(response.data);
+    } catch (err) {
+      console.error("Error creating refund:", err);
+      setError(
+        err.response?.data?.error?.description || "Failed to create refund"
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-4" data-test-id="refund-form">
+      <div className="text-sm text-gray-600">
+        Refundable balance:{" "}
+        <span
+          className="font-semibold text-black"
+          data-test-id="refundable-balance"
+        >
+          {formatAmount(balance, payment.currency)}
+        </span>{" "}
+        of {formatAmount(payment.amount_captured, payment.currency)} captured
+      </div>
+
+      {balance > 0 ? (
+        <form
+          onSubmit={handleSubmit}
+          className="flex flex-wrap items-center gap-4"
+          data-test-id="create-refund-form"
+        >
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="radio"
+              checked={full}
+              onChange={() => setFull(true)}
+              data-test-id="refund-full"
+            />
+            Full
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="radio"
+              checked={!full}
+              onChange={() => setFull(false)}
+              data-test-id="refund-partial"
+            />
+            Partial
+          </label>
+          {!full && (
+            <input
+              type="number"
+              min="0"
+              step="any"
+              placeholder="Amount"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              className="w-40 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+              data-test-id="refund-amount-input"
+            />
+          )}
+          <input
+            type="text"
+            maxLength={500}
+            placeholder="Reason (optional)"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+            data-test-id="refund-reason-input"
+          />
+          <button
+            type="submit"
+            disabled={submitting}
+            className="px-6 py-2 bg-black text-white rounded-lg hover:bg-gray-800 transition disabled:bg-gray-400"
+            data-test-id="create-refund-button"
+          >
+            {submitting ? "Refunding..." : "Refund"}
+          </button>
+        </form>
+      ) : (
+        <div className="text-sm text-gray-500" data-test-id="fully-refunded">
+          This payment has been fully refunded
+        </div>
+      )}
+
+      {error && (
+        <div
+          className="p-2 rounded bg-gray-800 text-white text-sm"
+          data-test-id="refund-error"
+        >
+          {error}
+        </div>
+      )}
+
+      {refund && (
+        <div
+          className="flex items-center gap-4 text-sm"
+          data-test-id="refund-status-row"
+          data-refund-id={refund.id}
+        >
+          <span className="font-mono">{refund.id}</span>
+          <span>{formatAmount(refund.amount, refund.currency)}</span>
+          <span
+            className={`inline-block px-3 py-1 text-xs font-medium rounded-full ${getStatusStyle(
+              refund.status
+            )}`}
+            data-test-id="refund-status"
+          >
+            {refund.status}
+          </span>
+          {refund.error_description && (
+            <span className="text-gray-600" data-test-id="refund-failure">
+              {refund.error_description}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RefundForm;
@@ -0,0 +1,28 @@
+import axios from "axios";
+
+export const API_URL = process.env.REACT_APP_API_URL || "http://localhost:8000";
+
+// Shared client for every dashboard page; the session cookie set at login
+// authenticates each request
+const api = axios.create({
+  baseURL: API_URL,
+  withCredentials: true,
+});
+
+let unauthorizedHandler = null;
+
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+}
+
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+    return Promise.reject(error);
+  }
+);
+
+export default api;
@@ -0,0 +1,35 @@
+import api from "./api";
+
+// Currency registry from the API, keyed by code. Loaded once at startup so
+// amounts can be formatted synchronously while rendering.
+let currencies = {};
+
+export async function loadCurrencies() {
+  try {
+    const response = await api.get("/api/v1/currencies");
+    currencies = Object.fromEntries(
+      (response.data.data || []).map((currency) => [currency.code, currency])
+    );
+  } catch (error) {
+    console.error("Error fetching currencies:", error);
+  }
+}
+
+// Amounts are integers in the currency's minor unit, so 50000 INR is ₹500.00
+// and 500 JPY is ¥500
+export function formatAmount(amount, code = "INR") {
+  const currency = currencies[code];
+  if (!currency) {
+    return `${(amount / 100).toFixed(2)} ${code}`;
+  }
+  return `${currency.symbol}${(amount / 10 ** currency.exponent).toFixed(
+    currency.exponent
+  )}`;
+}
+
+// Converts an amount typed in major units ("250.50") to the integer the API
+// expects, or NaN if it is not a number
+export function toMinorUnits(value, code = "INR") {
+  const exponent = currencies[code] ? currencies[code].exponent : 2;
+  return Math.round(parseFloat(value) * 10 ** exponent);
+}
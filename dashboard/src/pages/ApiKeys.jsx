@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from "react";
+import api from "../api";
+
+function ApiKeys() {
+  const [keys, setKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [label, setLabel] = useState("");
+  const [mode, setMode] = useState("test");
+  const [newKey, setNewKey] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchKeys();
+  }, []);
+
+  const fetchKeys = async () => {
+    try {
+      const response = await api.get("/api/v1/merchants/keys");
+      setKeys(response.data.data || []);
+    } catch (error) {
+      console.error("Error fetching API keys:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateKey = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await api.post("/api/v1/merchants/keys", {
+        label: label || null,
+        mode,
+      });
+      setNewKey(response.data);
+      setLabel("");
+      fetchKeys();
+    } catch (error) {
+      setMessage({
+        type: "error",
+        text:
+          error.response?.data?.error?.description ||
+          "Failed to create API key",
+      });
+    }
+  };
+
+  const handleRevokeKey = async (keyId) => {
+    if (
+      !window.confirm(
+        "Revoke this key? Integrations using it will stop working."
+      )
+    ) {
+      return;
+    }
+    try {
+      await api.post(`/api/v1/merchants/keys/${keyId}/revoke`);
+      setMessage({ type: "success", text: "API key revoked" });
+      setTimeout(() => setMessage(null), 3000);
+      fetchKeys();
+    } catch (error) {
+      setMessage({
+        type: "error",
+        text:
+          error.response?.data?.error?.description ||
+          "Failed to revoke API key",
+      });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-gray-500">Loading...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div data-test-id="api-keys-page">
+      <h2 className="text-3xl font-bold text-black mb-8">API Keys</h2>
+
+      {message && (
+        <div
+          className={`p-4 rounded-lg mb-6 ${
+            message.type === "success"
+              ? "bg-gray-100 text-black"
+              : "bg-gray-800 text-white"
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {newKey && (
+        <div
+          className="bg-white border border-black rounded-lg p-6 mb-8"
+          data-test-id="new-api-key"
+        >
+          <h3 className="text-xl font-bold text-black mb-2">Key created</h3>
+          <p className="text-gray-600 mb-4">
+            Copy the secret now. It will not be shown again.
+          </p>
+          <div className="mb-2 text-sm text-gray-500">API Key</div>
+          <code className="block bg-gray-100 px-4 py-3 rounded-lg font-mono text-sm mb-4">
+            {newKey.api_key}
+          </code>
+          <div className="mb-2 text-sm text-gray-500">API Secret</div>
+          <code
+            className="block bg-gray-100 px-4 py-3 rounded-lg font-mono text-sm mb-4"
+            data-test-id="new-api-secret"
+          >
+            {newKey.api_secret}
+          </code>
+          <button
+            className="px-4 py-2 border border-gray-300 rounded hover:bg-gray-50 transition text-sm"
+            onClick={() => setNewKey(null)}
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      <div className="bg-white border border-gray-200 rounded-lg p-6 mb-8">
+        <form
+          className="flex items-end gap-4"
+          data-test-id="create-api-key-form"
+          onSubmit={handleCreateKey}
+        >
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Label
+            </label>
+            <input
+              type="text"
+              data-test-id="api-key-label-input"
+              placeholder="Production server"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Mode
+            </label>
+            <select
+              data-test-id="api-key-mode-select"
+              value={mode}
+              onChange={(e) => setMode(e.target.value)}
+              className="px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+            >
+              <option value="test">Test</option>
+              <option value="live">Live</option>
+            </select>
+          </div>
+          <button
+            type="submit"
+            className="px-6 py-3 bg-black text-white rounded-lg hover:bg-gray-800 transition"
+            data-test-id="create-api-key-button"
+          >
+            Create Key
+          </button>
+        </form>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        {keys.length === 0 ? (
+          <div
+            className="text-center py-12 text-gray-500"
+            data-test-id="empty-state"
+          >
+            No API keys found
+          </div>
+        ) : (
+          <table className="w-full" data-test-id="api-keys-table">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className="px-6 py-4 text-left text-sm font-semibold text-gray-600">
+                  Label
+                </th>
+                <th className="px-6 py-4 text-left text-sm font-semibold text-gray-600">
+                  API Key
+                </th>
+                <th className="px-6 py-4 text-left text-sm font-semibold text-gray-600">
+                  Mode
+                </th>
+                <th className="px-6 py-4 text-left text-sm font-semibold text-gray-600">
+                  Created At
+                </th>
+                <th className="px-6 py-4 text-left text-sm font-semibold text-gray-600">
+                  Last Used
+                </th>
+                <th className="px-6 py-4 text-left text-sm font-semibold text-gray-600">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {keys.map((key) => (
+                <tr
+                  key={key.id}
+                  className="hover:bg-gray-50"
+                  data-test-id="api-key-row"
+                  data-api-key-id={key.id}
+                >
+                  <td
+                    className="px-6 py-4 text-sm"
+                    data-test-id="api-key-label"
+                  >
+                    {key.label || "-"}
+                  </td>
+                  <td
+                    className="px-6 py-4 text-sm font-mono"
+                    data-test-id="api-key-value"
+                  >
+                    {key.api_key}
+                  </td>
+                  <td
+                    className="px-6 py-4 text-sm uppercase"
+                    data-test-id="api-key-mode"
+                  >
+                    {key.mode}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {new Date(key.created_at).toLocaleString()}
+                  </td>
+                  <td
+                    className="px-6 py-4 text-sm text-gray-600"
+                    data-test-id="api-key-last-used"
+                  >
+                    {key.last_used_at
+                      ? new Date(key.last_used_at).toLocaleString()
+                      : "-"}
+                  </td>
+                  <td className="px-6 py-4">
+                    {key.revoked_at ? (
+                      <span className="inline-block px-3 py-1 text-xs font-medium rounded-full bg-gray-600 text-white">
+                        revoked
+                      </span>
+                    ) : (
+                      <button
+                        className="px-4 py-2 border border-gray-300 rounded hover:bg-gray-50 transition text-sm"
+                        data-test-id="revoke-api-key-button"
+                        onClick={() => handleRevokeKey(key.id)}
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ApiKeys;
@@ -1,63 +1,107 @@
 import React, { useState, useEffect } from "react";
-import axios from "axios";
+import api from "../api";
+import { formatAmount } from "../currency";
 
-const API_URL = process.env.REACT_APP_API_URL || "http://localhost:8000";
-const API_KEY = "key_test_abc123";
-const API_SECRET = "secret_test_xyz789";
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-const api = axios.create({
-  baseURL: API_URL,
-  headers: {
-    "X-Api-Key": API_KEY,
-    "X-Api-Secret": API_SECRET,
-  },
-});
+// Preset ranges and the bucket size that charts each one sensibly
+const RANGES = [
+  { value: "24h", label: "Last 24 hours", ms: DAY_MS, interval: "hour" },
+  { value: "7d", label: "Last 7 days", ms: 7 * DAY_MS, interval: "day" },
+  { value: "30d", label: "Last 30 days", ms: 30 * DAY_MS, interval: "day" },
+  { value: "90d", label: "Last 90 days", ms: 90 * DAY_MS, interval: "week" },
+  { value: "custom", label: "Custom range" },
+];
+
+const INTERVALS = ["hour", "day", "week"];
+
+function toDateInput(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function StatCard({ testId, label, value, muted }) {
+  return (
+    <div
+      className="bg-white border border-gray-200 rounded-lg p-6"
+      data-test-id={testId}
+    >
+      <div className="text-sm text-gray-500 mb-1">{label}</div>
+      <div
+        className={`text-3xl font-bold ${
+          muted ? "text-gray-600" : "text-black"
+        }`}
+      >
+        {value}
+      </div>
+    </div>
+  );
+}
 
 function Dashboard() {
-  const [stats, setStats] = useState({
-    totalOrders: 0,
-    totalPayments: 0,
-    successfulPayments: 0,
-    pendingPayments: 0,
-    failedPayments: 0,
-    totalRefunds: 0,
-  });
+  const [range, setRange] = useState("30d");
+  const [period, setPeriod] = useState("day");
+  const [customFrom, setCustomFrom] = useState(
+    toDateInput(new Date(Date.now() - 30 * DAY_MS))
+  );
+  const [customTo, setCustomTo] = useState(toDateInput(new Date()));
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
   const [jobStatus, setJobStatus] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     fetchStats();
+  }, [range, period, customFrom, customTo]);
+
+  useEffect(() => {
+    fetchJobStatus();
   }, []);
 
+  const handleRangeChange = (value) => {
+    const preset = RANGES.find((option) => option.value === value);
+    if (preset.interval) {
+      setPeriod(preset.interval);
+    }
+    setRange(value);
+  };
+
   const fetchStats = async () => {
+    const params = new URLSearchParams({ interval: period });
+    if (range === "custom") {
+      params.set("from", customFrom);
+      // The picked end date is included, so the range ends the day after
+      params.set(
+        "to",
+        toDateInput(new Date(new Date(customTo).getTime() + DAY_MS))
+      );
+    } else {
+      const preset = RANGES.find((option) => option.value === range);
+      params.set("from", new Date(Date.now() - preset.ms).toISOString());
+    }
+
     try {
-      const [ordersRes, paymentsRes, refundsRes, jobsRes] = await Promise.all([
-        api.get("/api/v1/orders?limit=1000"),
-        api.get("/api/v1/payments?limit=1000"),
-        api.get("/api/v1/refunds?limit=1000"),
-        axios.get(`${API_URL}/api/v1/test/jobs/status`),
-      ]);
-
-      const payments = paymentsRes.data.data || [];
-
-      setStats({
-        totalOrders: ordersRes.data.total || 0,
-        totalPayments: paymentsRes.data.total || 0,
-        successfulPayments: payments.filter((p) => p.status === "success")
-          .length,
-        pendingPayments: payments.filter((p) => p.status === "pending").length,
-        failedPayments: payments.filter((p) => p.status === "failed").length,
-        totalRefunds: refundsRes.data.total || 0,
-      });
-
-      setJobStatus(jobsRes.data);
-    } catch (error) {
-      console.error("Error fetching stats:", error);
+      const response = await api.get(`/api/v1/stats?${params}`);
+      setStats(response.data);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching stats:", err);
+      setError(
+        err.response?.data?.error?.description || "Failed to load stats"
+      );
     } finally {
       setLoading(false);
     }
   };
 
+  const fetchJobStatus = async () => {
+    try {
+      const response = await api.get("/api/v1/test/jobs/status");
+      setJobStatus(response.data);
+    } catch (err) {
+      console.error("Error fetching job status:", err);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -66,69 +110,196 @@ function Dashboard() {
     );
   }
 
+  const money = (amount) => formatAmount(amount, stats.currency);
+  const peakVolume = stats
+    ? Math.max(1, ...stats.series.map((bucket) => bucket.volume))
+    : 1;
+
   return (
     <div data-test-id="dashboard-page">
-      <h2 className="text-3xl font-bold text-black mb-8">Dashboard</h2>
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-8">
+        <h2 className="text-3xl font-bold text-black">Dashboard</h2>
 
-      <div
-        className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8"
-        data-test-id="stats-grid"
-      >
-        <div
-          className="bg-white border border-gray-200 rounded-lg p-6"
-          data-test-id="stat-orders"
-        >
-          <div className="text-sm text-gray-500 mb-1">Total Orders</div>
-          <div className="text-3xl font-bold text-black">
-            {stats.totalOrders}
-          </div>
-        </div>
         <div
-          className="bg-white border border-gray-200 rounded-lg p-6"
-          data-test-id="stat-payments"
+          className="flex flex-wrap items-end gap-3"
+          data-test-id="date-range"
         >
-          <div className="text-sm text-gray-500 mb-1">Total Payments</div>
-          <div className="text-3xl font-bold text-black">
-            {stats.totalPayments}
-          </div>
+          <select
+            value={range}
+            onChange={(e) => handleRangeChange(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+            data-test-id="range-select"
+          >
+            {RANGES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {range === "custom" && (
+            <>
+              <input
+                type="date"
+                value={customFrom}
+                max={customTo}
+                onChange={(e) => setCustomFrom(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+                data-test-id="range-from"
+              />
+              <input
+                type="date"
+                value={customTo}
+                min={customFrom}
+                onChange={(e) => setCustomTo(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+                data-test-id="range-to"
+              />
+            </>
+          )}
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+            data-test-id="interval-select"
+          >
+            {INTERVALS.map((option) => (
+              <option key={option} value={option}>
+                By {option}
+              </option>
+            ))}
+          </select>
         </div>
+      </div>
+
+      {error && (
         <div
-          className="bg-white border border-gray-200 rounded-lg p-6"
-          data-test-id="stat-successful"
+          className="p-4 rounded-lg mb-6 bg-gray-800 text-white"
+          data-test-id="stats-error"
         >
-          <div className="text-sm text-gray-500 mb-1">Successful</div>
-          <div className="text-3xl font-bold text-black">
-            {stats.successfulPayments}
-          </div>
+          {error}
         </div>
-        <div
-          className="bg-white border border-gray-200 rounded-lg p-6"
-          data-test-id="stat-pending"
-        >
-          <div className="text-sm text-gray-500 mb-1">Pending</div>
-          <div className="text-3xl font-bold text-gray-600">
-            {stats.pendingPayments}
+      )}
+
+      {stats && (
+        <>
+          <div
+            className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8"
+            data-test-id="stats-grid"
+          >
+            <StatCard
+              testId="stat-volume"
+              label={`Volume (${stats.currency})`}
+              value={money(stats.payments.volume)}
+            />
+            <StatCard
+              testId="stat-success-rate"
+              label="Success Rate"
+              value={
+                stats.payments.success_rate === null
+                  ? "-"
+                  : `${(stats.payments.success_rate * 100).toFixed(1)}%`
+              }
+            />
+            <StatCard
+              testId="stat-orders"
+              label="Total Orders"
+              value={stats.orders.total}
+            />
+            <StatCard
+              testId="stat-payments"
+              label="Total Payments"
+              value={stats.payments.total}
+            />
+            <StatCard
+              testId="stat-successful"
+              label="Successful"
+              value={stats.payments.successful}
+            />
+            <StatCard
+              testId="stat-pending"
+              label="Pending"
+              value={stats.payments.pending}
+              muted
+            />
+            <StatCard
+              testId="stat-failed"
+              label="Failed"
+              value={stats.payments.failed}
+            />
+            <StatCard
+              testId="stat-refunds"
+              label="Total Refunds"
+              value={`${stats.refunds.total} (${money(stats.refunds.amount)})`}
+            />
           </div>
-        </div>
-        <div
-          className="bg-white border border-gray-200 rounded-lg p-6"
-          data-test-id="stat-failed"
-        >
-          <div className="text-sm text-gray-500 mb-1">Failed</div>
-          <div className="text-3xl font-bold text-black">
-            {stats.failedPayments}
+
+          <div
+            className="bg-white border border-gray-200 rounded-lg p-6 mb-8"
+            data-test-id="volume-series"
+          >
+            <h3 className="text-xl font-bold text-black mb-6">
+              Volume by {stats.interval}
+            </h3>
+            <div className="flex items-end gap-px h-40">
+              {stats.series.map((bucket) => (
+                <div
+                  key={bucket.period_start}
+                  className="flex-1 bg-black min-h-px"
+                  style={{ height: `${(bucket.volume / peakVolume) * 100}%` }}
+                  title={`${new Date(
+                    bucket.period_start
+                  ).toLocaleString()}: ${money(bucket.volume)}, ${
+                    bucket.payments
+                  } payments, ${bucket.refunds} refunds`}
+                />
+              ))}
+            </div>
           </div>
-        </div>
-        <div
-          className="bg-white border border-gray-200 rounded-lg p-6"
-          data-test-id="stat-refunds"
-        >
-          <div className="text-sm text-gray-500 mb-1">Total Refunds</div>
-          <div className="text-3xl font-bold text-black">
-            {stats.totalRefunds}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+            <div
+              className="bg-white border border-gray-200 rounded-lg p-6"
+              data-test-id="stats-by-method"
+            >
+              <h3 className="text-xl font-bold text-black mb-4">By Method</h3>
+              <table className="w-full text-sm">
+                <tbody className="divide-y divide-gray-100">
+                  {stats.by_method.map((row) => (
+                    <tr key={row.method}>
+                      <td className="py-2 uppercase">{row.method}</td>
+                      <td className="py-2 text-gray-600">
+                        {row.successful}/{row.count} successful
+                      </td>
+                      <td className="py-2 text-right font-semibold">
+                        {money(row.volume)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div
+              className="bg-white border border-gray-200 rounded-lg p-6"
+              data-test-id="stats-by-status"
+            >
+              <h3 className="text-xl font-bold text-black mb-4">By Status</h3>
+              <table className="w-full text-sm">
+                <tbody className="divide-y divide-gray-100">
+                  {stats.by_status.map((row) => (
+                    <tr key={row.status}>
+                      <td className="py-2">{row.status}</td>
+                      <td className="py-2 text-gray-600">{row.count}</td>
+                      <td className="py-2 text-right font-semibold">
+                        {money(row.amount)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
           </div>
-        </div>
-      </div>
+        </>
+      )}
 
       {jobStatus && (
         <div
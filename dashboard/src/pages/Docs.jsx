@@ -21,7 +21,8 @@ function Docs() {
   -d '{
     "amount": 50000,
     "currency": "INR",
-    "receipt": "receipt_123"
+    "receipt": "receipt_123",
+    "notes": { "cart_id": "cart_881" }
   }'`}</code>
         </pre>
       </section>
@@ -62,7 +63,7 @@ function Docs() {
           <code>{`<script src="http://localhost:3001/checkout.js"></script>
 <script>
 const checkout = new PaymentGateway({
-  key: 'key_test_abc123',
+  key: 'pk_test_abc123',
   orderId: 'order_xyz',
   onSuccess: (response) => {
     console.log('Payment ID:', response.paymentId);
@@ -143,6 +144,15 @@ app.post('/webhook', (req, res) => {
         <h3 className="text-xl font-bold text-black mb-4">
           6. Capture Payment
         </h3>
+        <p className="text-gray-600 mb-4">
+          Omit <code className="bg-gray-100 px-2 py-1 rounded">amount</code> to
+          capture the full authorized amount. Smaller amounts are partial
+          captures and can be repeated up to the authorized total; send{" "}
+          <code className="bg-gray-100 px-2 py-1 rounded">
+            "final_capture": true
+          </code>{" "}
+          to settle and release the rest.
+        </p>
         <pre
           className="bg-black text-white p-4 rounded-lg overflow-x-auto text-sm"
           data-test-id="code-snippet-capture"
@@ -174,21 +184,42 @@ app.post('/webhook', (req, res) => {
           </li>
           <li>
             <code className="bg-gray-100 px-2 py-1 rounded">
-              payment.pending
+              payment.authorized
             </code>{" "}
-            - When payment enters pending state
+            - When payment is authorized and ready to capture
           </li>
           <li>
             <code className="bg-gray-100 px-2 py-1 rounded">
-              payment.success
+              payment.failed
             </code>{" "}
-            - When payment succeeds
+            - When payment fails
           </li>
           <li>
             <code className="bg-gray-100 px-2 py-1 rounded">
-              payment.failed
+              payment.voided
             </code>{" "}
-            - When payment fails
+            - When an authorized payment is voided before capture
+          </li>
+          <li>
+            <code className="bg-gray-100 px-2 py-1 rounded">
+              payment.captured
+            </code>{" "}
+            - When a payment is captured automatically
+          </li>
+          <li>
+            <code className="bg-gray-100 px-2 py-1 rounded">
+              payment.released
+            </code>{" "}
+            - When the uncaptured rest of a partially captured payment is
+            released on expiry
+          </li>
+          <li>
+            <code className="bg-gray-100 px-2 py-1 rounded">order.paid</code> -
+            When a payment for the order is authorized
+          </li>
+          <li>
+            <code className="bg-gray-100 px-2 py-1 rounded">order.expired</code>{" "}
+            - When an unpaid order expires
           </li>
           <li>
             <code className="bg-gray-100 px-2 py-1 rounded">
@@ -202,11 +233,15 @@ app.post('/webhook', (req, res) => {
             </code>{" "}
             - When refund completes
           </li>
+          <li>
+            <code className="bg-gray-100 px-2 py-1 rounded">refund.failed</code>{" "}
+            - When refund fails and its amount can be refunded again
+          </li>
         </ul>
         <pre className="bg-black text-white p-4 rounded-lg overflow-x-auto text-sm">
           <code>{`// Webhook payload example
 {
-  "event": "payment.success",
+  "event": "payment.authorized",
   "timestamp": 1705315870,
   "data": {
     "payment": {
@@ -216,7 +251,7 @@ app.post('/webhook', (req, res) => {
       "currency": "INR",
       "method": "upi",
       "vpa": "user@paytm",
-      "status": "success",
+      "status": "authorized",
       "created_at": "2024-01-15T10:31:00Z"
     }
   }
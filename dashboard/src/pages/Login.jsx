@@ -0,0 +1,132 @@
+import React, { useState } from "react";
+import api from "../api";
+
+function Login({ onLogin }) {
+  const [mode, setMode] = useState("login");
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response =
+        mode === "login"
+          ? await api.post("/api/v1/auth/login", { email, password })
+          : await api.post("/api/v1/auth/register", { name, email, password });
+      onLogin(response.data);
+    } catch (err) {
+      setError(
+        err.response?.data?.error?.description ||
+          (mode === "login" ? "Failed to log in" : "Failed to sign up")
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(mode === "login" ? "register" : "login");
+    setError(null);
+  };
+
+  return (
+    <div
+      className="min-h-screen bg-gray-100 flex items-center justify-center p-4"
+      data-test-id="login-page"
+    >
+      <div className="max-w-md w-full bg-white border border-gray-200 rounded-lg p-8">
+        <h1 className="text-2xl font-bold text-black mb-2">Payment Gateway</h1>
+        <p className="text-gray-600 mb-6">
+          {mode === "login"
+            ? "Log in to your merchant dashboard"
+            : "Create a merchant account"}
+        </p>
+
+        {error && (
+          <div
+            className="p-4 rounded-lg mb-6 bg-gray-800 text-white"
+            data-test-id="login-error"
+          >
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} data-test-id="login-form">
+          {mode === "register" && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Business Name
+              </label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+                required
+                data-test-id="name-input"
+              />
+            </div>
+          )}
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Email
+            </label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+              required
+              data-test-id="email-input"
+            />
+          </div>
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Password
+            </label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+              minLength={mode === "register" ? 8 : undefined}
+              required
+              data-test-id="password-input"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full py-3 bg-black text-white rounded-lg font-medium hover:bg-gray-800 transition disabled:bg-gray-400"
+            data-test-id="login-button"
+          >
+            {submitting
+              ? "Please wait..."
+              : mode === "login"
+              ? "Log In"
+              : "Sign Up"}
+          </button>
+        </form>
+
+        <button
+          type="button"
+          onClick={toggleMode}
+          className="mt-6 w-full text-sm text-gray-600 hover:text-black"
+          data-test-id="toggle-auth-mode"
+        >
+          {mode === "login"
+            ? "New merchant? Create an account"
+            : "Already have an account? Log in"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
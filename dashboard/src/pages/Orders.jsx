@@ -1,21 +1,13 @@
 import React, { useState, useEffect } from "react";
-import axios from "axios";
-
-const API_URL = process.env.REACT_APP_API_URL || "http://localhost:8000";
-const API_KEY = "key_test_abc123";
-const API_SECRET = "secret_test_xyz789";
-
-const api = axios.create({
-  baseURL: API_URL,
-  headers: {
-    "X-Api-Key": API_KEY,
-    "X-Api-Secret": API_SECRET,
-  },
-});
+import api from "../api";
+import ExportButton from "../ExportButton";
+import { formatAmount } from "../currency";
 
 function Orders() {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [expandedOrderId, setExpandedOrderId] = useState(null);
+  const [orderPayments, setOrderPayments] = useState({});
 
   useEffect(() => {
     fetchOrders();
@@ -32,6 +24,27 @@ function Orders() {
     }
   };
 
+  // Payment attempts are fetched the first time a row is expanded
+  const toggleOrder = async (orderId) => {
+    if (expandedOrderId === orderId) {
+      setExpandedOrderId(null);
+      return;
+    }
+    setExpandedOrderId(orderId);
+
+    if (!orderPayments[orderId]) {
+      try {
+        const response = await api.get(`/api/v1/orders/${orderId}/payments`);
+        setOrderPayments((current) => ({
+          ...current,
+          [orderId]: response.data.data || [],
+        }));
+      } catch (error) {
+        console.error("Error fetching order payments:", error);
+      }
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -40,9 +53,25 @@ function Orders() {
     );
   }
 
+  const getStatusStyle = (status) => {
+    switch (status) {
+      case "paid":
+        return "bg-black text-white";
+      case "attempted":
+        return "bg-gray-300 text-black";
+      case "expired":
+        return "bg-gray-600 text-white";
+      default:
+        return "bg-gray-100 text-black";
+    }
+  };
+
   return (
     <div data-test-id="orders-page">
-      <h2 className="text-3xl font-bold text-black mb-8">Orders</h2>
+      <div className="flex items-center justify-between mb-8">
+        <h2 className="text-3xl font-bold text-black">Orders</h2>
+        <ExportButton type="orders" />
+      </div>
 
       <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
         {orders.length === 0 ? (
@@ -78,51 +107,124 @@ function Orders() {
             </thead>
             <tbody className="divide-y divide-gray-100">
               {orders.map((order) => (
-                <tr
-                  key={order.id}
-                  className="hover:bg-gray-50"
-                  data-test-id="order-row"
-                  data-order-id={order.id}
-                >
-                  <td
-                    className="px-6 py-4 text-sm font-mono"
-                    data-test-id="order-id"
-                  >
-                    {order.id}
-                  </td>
-                  <td className="px-6 py-4 text-sm" data-test-id="order-amount">
-                    ₹{(order.amount / 100).toFixed(2)}
-                  </td>
-                  <td
-                    className="px-6 py-4 text-sm"
-                    data-test-id="order-currency"
+                <React.Fragment key={order.id}>
+                  <tr
+                    className="hover:bg-gray-50 cursor-pointer"
+                    data-test-id="order-row"
+                    data-order-id={order.id}
+                    onClick={() => toggleOrder(order.id)}
                   >
-                    {order.currency}
-                  </td>
-                  <td
-                    className="px-6 py-4 text-sm"
-                    data-test-id="order-receipt"
-                  >
-                    {order.receipt || "-"}
-                  </td>
-                  <td className="px-6 py-4" data-test-id="order-status">
-                    <span
-                      className={`inline-block px-3 py-1 text-xs font-medium rounded-full ${
-                        order.status === "created"
-                          ? "bg-gray-100 text-black"
-                          : "bg-black text-white"
-                      }`}
+                    <td
+                      className="px-6 py-4 text-sm font-mono"
+                      data-test-id="order-id"
                     >
-                      {order.status}
-                    </span>
-                  </td>
-                  <td
-                    className="px-6 py-4 text-sm text-gray-600"
-                    data-test-id="order-created"
-                  >
-                    {new Date(order.created_at).toLocaleString()}
-                  </td>
-                </tr>
+                      <span className="inline-block w-4 text-gray-400">
+                        {expandedOrderId === order.id ? "▾" : "▸"}
+                      </span>
+                      {order.id}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-sm"
+                      data-test-id="order-amount"
+                    >
+                      {formatAmount(order.amount, order.currency)}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-sm"
+                      data-test-id="order-currency"
+                    >
+                      {order.currency}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-sm"
+                      data-test-id="order-receipt"
+                    >
+                      {order.receipt || "-"}
+                    </td>
+                    <td className="px-6 py-4" data-test-id="order-status">
+                      <span
+                        className={`inline-block px-3 py-1 text-xs font-medium rounded-full ${getStatusStyle(
+                          order.status
+                        )}`}
+                      >
+                        {order.status}
+                      </span>
+                    </td>
+                    <td
+                      className="px-6 py-4 text-sm text-gray-600"
+                      data-test-id="order-created"
+                    >
+                      {new Date(order.created_at).toLocaleString()}
+                    </td>
+                  </tr>
+                  {expandedOrderId === order.id && (
+                    <tr data-test-id="order-payments">
+                      <td colSpan={6} className="px-6 py-4 bg-gray-50">
+                        {!orderPayments[order.id] ? (
+                          <div className="text-sm text-gray-500">
+                            Loading...
+                          </div>
+                        ) : orderPayments[order.id].length === 0 ? (
+                          <div className="text-sm text-gray-500">
+                            No payment attempts
+                          </div>
+                        ) : (
+                          <table className="w-full">
+                            <thead>
+                              <tr>
+                                <th className="py-2 text-left text-xs font-semibold text-gray-600">
+                                  Payment ID
+                                </th>
+                                <th className="py-2 text-left text-xs font-semibold text-gray-600">
+                                  Method
+                                </th>
+                                <th className="py-2 text-left text-xs font-semibold text-gray-600">
+                                  Status
+                                </th>
+                                <th className="py-2 text-left text-xs font-semibold text-gray-600">
+                                  Error
+                                </th>
+                                <th className="py-2 text-left text-xs font-semibold text-gray-600">
+                                  Created At
+                                </th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {orderPayments[order.id].map((payment) => (
+                                <tr
+                                  key={payment.id}
+                                  data-test-id="order-payment-row"
+                                  data-payment-id={payment.id}
+                                >
+                                  <td className="py-2 text-sm font-mono">
+                                    {payment.id}
+                                  </td>
+                                  <td className="py-2 text-sm uppercase">
+                                    {payment.method}
+                                  </td>
+                                  <td
+                                    className="py-2 text-sm"
+                                    data-test-id="order-payment-status"
+                                  >
+                                    {payment.status}
+                                  </td>
+                                  <td className="py-2 text-sm text-gray-600">
+                                    {payment.error_description || "-"}
+                                  </td>
+                                  <td className="py-2 text-sm text-gray-600">
+                                    {new Date(
+                                      payment.created_at
+                                    ).toLocaleString()}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
               ))}
             </tbody>
           </table>
@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import api from "../api";
+import RefundForm, { REFUNDABLE_STATUSES } from "../RefundForm";
+import { formatAmount } from "../currency";
+import { useCan } from "../session";
+
+function getPaymentStatusStyle(status) {
+  switch (status) {
+    case "captured":
+    case "partially_captured":
+      return "bg-black text-white";
+    case "authorized":
+      return "bg-gray-800 text-white";
+    case "created":
+      return "bg-gray-300 text-black";
+    case "failed":
+    case "voided":
+    case "expired":
+      return "bg-gray-600 text-white";
+    default:
+      return "bg-gray-100 text-black";
+  }
+}
+
+function getStatusStyle(status) {
+  switch (status) {
+    case "processed":
+    case "success":
+      return "bg-black text-white";
+    case "pending":
+      return "bg-gray-300 text-black";
+    case "failed":
+      return "bg-gray-600 text-white";
+    default:
+      return "bg-gray-100 text-black";
+  }
+}
+
+function StatusBadge({ status, style }) {
+  return (
+    <span
+      className={`inline-block px-3 py-1 text-xs font-medium rounded-full ${style(
+        status
+      )}`}
+    >
+      {status}
+    </span>
+  );
+}
+
+function Section({ title, testId, children }) {
+  return (
+    <div
+      className="bg-white border border-gray-200 rounded-lg overflow-hidden mb-8"
+      data-test-id={testId}
+    >
+      <h3 className="text-xl font-bold text-black px-6 py-4 border-b border-gray-200">
+        {title}
+      </h3>
+      {children}
+    </div>
+  );
+}
+
+// Label and value pairs; fields without a value are left out
+function Fields({ fields }) {
+  return (
+    <dl className="grid grid-cols-2 gap-x-8 gap-y-4 p-6">
+      {fields
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([label, value, testId]) => (
+          <div key={label}>
+            <dt className="text-sm text-gray-500">{label}</dt>
+            <dd className="text-sm text-black mt-1" data-test-id={testId}>
+              {value}
+            </dd>
+          </div>
+        ))}
+    </dl>
+  );
+}
+
+function formatNotes(notes) {
+  const entries = Object.entries(notes || {});
+  return entries.length > 0
+    ? entries.map(([key, value]) => `${key}: ${value}`).join(", ")
+    : null;
+}
+
+function PaymentDetail() {
+  const { id } = useParams();
+  const [payment, setPayment] = useState(null);
+  const [order, setOrder] = useState(null);
+  const [webhookLogs, setWebhookLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const can = useCan();
+
+  useEffect(() => {
+    fetchPayment();
+  }, [id]);
+
+  const fetchPayment = async () => {
+    try {
+      const [paymentRes, webhooksRes] = await Promise.all([
+        api.get(`/api/v1/payments/${id}`),
+        api.get(`/api/v1/webhooks?payment_id=${id}&limit=100`),
+      ]);
+      const orderRes = await api.get(
+        `/api/v1/orders/${paymentRes.data.order_id}`
+      );
+
+      setPayment(paymentRes.data);
+      setOrder(orderRes.data);
+      setWebhookLogs(webhooksRes.data.data || []);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching payment:", err);
+      setError(
+        err.response?.data?.error?.description || "Failed to load payment"
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-gray-500">Loading...</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div data-test-id="payment-detail">
+        <Link to="/payments" className="text-sm text-gray-500 hover:text-black">
+          &larr; Payments
+        </Link>
+        <div className="p-4 rounded-lg mt-4 bg-gray-800 text-white">
+          {error}
+        </div>
+      </div>
+    );
+  }
+
+  const amount = (value) => formatAmount(value, payment.currency);
+
+  return (
+    <div data-test-id="payment-detail" data-payment-id={payment.id}>
+      <Link to="/payments" className="text-sm text-gray-500 hover:text-black">
+        &larr; Payments
+      </Link>
+      <div className="flex items-center gap-4 mt-2 mb-8">
+        <h2 className="text-3xl font-bold text-black">
+          {amount(payment.amount)}
+        </h2>
+        <span data-test-id="payment-detail-status">
+          <StatusBadge status={payment.status} style={getPaymentStatusStyle} />
+        </span>
+      </div>
+
+      <Section title="Payment" testId="payment-detail-fields">
+        <Fields
+          fields={[
+            ["Payment ID", payment.id, "payment-detail-id"],
+            ["Amount", amount(payment.amount)],
+            ["Captured", amount(payment.amount_captured)],
+            [
+              "Refunded",
+              `${amount(payment.amount_refunded)} (${payment.refund_status})`,
+              "payment-detail-refunded",
+            ],
+            ["Method", payment.method.toUpperCase()],
+            ["VPA", payment.vpa, "payment-detail-vpa"],
+            [
+              "Card",
+              payment.card_last4 &&
+                `${payment.card_network || "card"} •••• ${payment.card_last4}`,
+              "payment-detail-card",
+            ],
+            ["Email", payment.email, "payment-detail-email"],
+            ["Error Code", payment.error_code, "payment-detail-error-code"],
+            ["Error", payment.error_description],
+            ["Notes", formatNotes(payment.notes)],
+            ["Created At", new Date(payment.created_at).toLocaleString()],
+            ["Updated At", new Date(payment.updated_at).toLocaleString()],
+          ]}
+        />
+      </Section>
+
+      <Section title="Timeline" testId="payment-timeline">
+        <ol className="p-6 space-y-4">
+          {payment.status_history.map((entry, i) => (
+            <li
+              key={i}
+              className="flex items-start gap-4"
+              data-test-id="timeline-entry"
+            >
+              <div className="w-2 h-2 mt-2 rounded-full bg-black" />
+              <div>
+                <div className="text-sm text-black">
+                  {entry.from_status
+                    ? `${entry.from_status} → ${entry.to_status}`
+                    : entry.to_status}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {new Date(entry.created_at).toLocaleString()}
+                  {entry.reason && ` · ${entry.reason}`}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ol>
+      </Section>
+
+      <Section title="Order" testId="payment-order">
+        <Fields
+          fields={[
+            ["Order ID", order.id, "payment-order-id"],
+            ["Amount", formatAmount(order.amount, order.currency)],
+            ["Receipt", order.receipt],
+            ["Status", order.status],
+            ["Capture Mode", order.capture_mode],
+            ["Created At", new Date(order.created_at).toLocaleString()],
+          ]}
+        />
+      </Section>
+
+      <Section title="Refunds" testId="payment-refunds">
+        {payment.refunds.length === 0 ? (
+          <div className="px-6 py-4 text-sm text-gray-500">No refunds</div>
+        ) : (
+          <table className="w-full">
+            <tbody className="divide-y divide-gray-100">
+              {payment.refunds.map((refund) => (
+                <tr
+                  key={refund.id}
+                  className="hover:bg-gray-50"
+                  data-test-id="payment-refund-row"
+                  data-refund-id={refund.id}
+                >
+                  <td className="px-6 py-4 text-sm font-mono">{refund.id}</td>
+                  <td className="px-6 py-4 text-sm">{amount(refund.amount)}</td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {refund.reason || "-"}
+                  </td>
+                  <td className="px-6 py-4">
+                    <StatusBadge
+                      status={refund.status}
+                      style={getStatusStyle}
+                    />
+                    {refund.error_code && (
+                      <span className="ml-2 text-xs text-gray-500">
+                        {refund.error_code}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {new Date(refund.created_at).toLocaleString()}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {can("refunds:create") &&
+          REFUNDABLE_STATUSES.includes(payment.status) && (
+            <div className="border-t border-gray-200">
+              <RefundForm payment={payment} onChange={fetchPayment} />
+            </div>
+          )}
+      </Section>
+
+      <Section title="Webhooks" testId="payment-webhooks">
+        {webhookLogs.length === 0 ? (
+          <div className="px-6 py-4 text-sm text-gray-500">
+            No webhooks sent for this payment
+          </div>
+        ) : (
+          <table className="w-full">
+            <tbody className="divide-y divide-gray-100">
+              {webhookLogs.map((log) => (
+                <tr
+                  key={log.id}
+                  className="hover:bg-gray-50"
+                  data-test-id="payment-webhook-row"
+                  data-webhook-id={log.id}
+                >
+                  <td className="px-6 py-4 text-sm font-mono">{log.event}</td>
+                  <td className="px-6 py-4">
+                    <StatusBadge status={log.status} style={getStatusStyle} />
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    {log.attempts} attempt{log.attempts === 1 ? "" : "s"}
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    {log.response_code || "-"}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {log.last_attempt_at
+                      ? new Date(log.last_attempt_at).toLocaleString()
+                      : "-"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </Section>
+    </div>
+  );
+}
+
+export default PaymentDetail;
@@ -1,21 +1,16 @@
 import React, { useState, useEffect } from "react";
-import axios from "axios";
-
-const API_URL = process.env.REACT_APP_API_URL || "http://localhost:8000";
-const API_KEY = "key_test_abc123";
-const API_SECRET = "secret_test_xyz789";
-
-const api = axios.create({
-  baseURL: API_URL,
-  headers: {
-    "X-Api-Key": API_KEY,
-    "X-Api-Secret": API_SECRET,
-  },
-});
+import { Link } from "react-router-dom";
+import api from "../api";
+import ExportButton from "../ExportButton";
+import RefundForm, { REFUNDABLE_STATUSES } from "../RefundForm";
+import { formatAmount } from "../currency";
+import { useCan } from "../session";
 
 function Payments() {
   const [payments, setPayments] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [refundingId, setRefundingId] = useState(null);
+  const can = useCan();
 
   useEffect(() => {
     fetchPayments();
@@ -44,6 +39,25 @@ function Payments() {
     }
   };
 
+  const handleVoid = async (paymentId) => {
+    if (
+      !window.confirm(
+        "Void this payment? The authorized funds will be released."
+      )
+    ) {
+      return;
+    }
+    try {
+      await api.post(`/api/v1/payments/${paymentId}/void`);
+      fetchPayments();
+    } catch (error) {
+      console.error("Error voiding payment:", error);
+      alert(
+        error.response?.data?.error?.description || "Failed to void payment"
+      );
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -54,11 +68,16 @@ function Payments() {
 
   const getStatusStyle = (status) => {
     switch (status) {
-      case "success":
+      case "captured":
+      case "partially_captured":
         return "bg-black text-white";
-      case "pending":
+      case "authorized":
+        return "bg-gray-800 text-white";
+      case "created":
         return "bg-gray-300 text-black";
       case "failed":
+      case "voided":
+      case "expired":
         return "bg-gray-600 text-white";
       default:
         return "bg-gray-100 text-black";
@@ -67,7 +86,10 @@ function Payments() {
 
   return (
     <div data-test-id="payments-page">
-      <h2 className="text-3xl font-bold text-black mb-8">Payments</h2>
+      <div className="flex items-center justify-between mb-8">
+        <h2 className="text-3xl font-bold text-black">Payments</h2>
+        <ExportButton type="payments" />
+      </div>
 
       <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
         {payments.length === 0 ? (
@@ -109,71 +131,134 @@ function Payments() {
             </thead>
             <tbody className="divide-y divide-gray-100">
               {payments.map((payment) => (
-                <tr
-                  key={payment.id}
-                  className="hover:bg-gray-50"
-                  data-test-id="payment-row"
-                  data-payment-id={payment.id}
-                >
-                  <td
-                    className="px-6 py-4 text-sm font-mono"
-                    data-test-id="payment-id"
+                <React.Fragment key={payment.id}>
+                  <tr
+                    className="hover:bg-gray-50"
+                    data-test-id="payment-row"
+                    data-payment-id={payment.id}
                   >
-                    {payment.id}
-                  </td>
-                  <td
-                    className="px-6 py-4 text-sm font-mono"
-                    data-test-id="payment-order-id"
-                  >
-                    {payment.order_id}
-                  </td>
-                  <td
-                    className="px-6 py-4 text-sm"
-                    data-test-id="payment-amount"
-                  >
-                    ₹{(payment.amount / 100).toFixed(2)}
-                  </td>
-                  <td
-                    className="px-6 py-4 text-sm uppercase"
-                    data-test-id="payment-method"
-                  >
-                    {payment.method}
-                  </td>
-                  <td className="px-6 py-4" data-test-id="payment-status">
-                    <span
-                      className={`inline-block px-3 py-1 text-xs font-medium rounded-full ${getStatusStyle(
-                        payment.status
-                      )}`}
+                    <td
+                      className="px-6 py-4 text-sm font-mono"
+                      data-test-id="payment-id"
                     >
-                      {payment.status}
-                    </span>
-                  </td>
-                  <td
-                    className="px-6 py-4 text-sm"
-                    data-test-id="payment-captured"
-                  >
-                    {payment.captured ? "Yes" : "No"}
-                  </td>
-                  <td
-                    className="px-6 py-4 text-sm text-gray-600"
-                    data-test-id="payment-created"
-                  >
-                    {new Date(payment.created_at).toLocaleString()}
-                  </td>
-                  <td className="px-6 py-4">
-                    {payment.status === "success" && !payment.captured && (
-                      <button
-                        className="px-4 py-2 bg-black text-white text-sm rounded hover:bg-gray-800 transition"
-                        data-test-id="capture-button"
-                        onClick={() =>
-                          handleCapture(payment.id, payment.amount)
-                        }
+                      <Link
+                        to={`/payments/${payment.id}`}
+                        className="hover:underline"
                       >
-                        Capture
-                      </button>
-                    )}
-                  </td>
-                </tr>
+                        {payment.id}
+                      </Link>
+                    </td>
+                    <td
+                      className="px-6 py-4 text-sm font-mono"
+                      data-test-id="payment-order-id"
+                    >
+                      {payment.order_id}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-sm"
+                      data-test-id="payment-amount"
+                    >
+                      {formatAmount(payment.amount, payment.currency)}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-sm uppercase"
+                      data-test-id="payment-method"
+                    >
+                      {payment.method}
+                    </td>
+                    <td className="px-6 py-4" data-test-id="payment-status">
+                      <span
+                        className={`inline-block px-3 py-1 text-xs font-medium rounded-full ${getStatusStyle(
+                          payment.status
+                        )}`}
+                      >
+                        {payment.status}
+                      </span>
+                      {payment.refund_status !== "none" && (
+                        <div
+                          className="text-xs text-gray-500 mt-1"
+                          data-test-id="payment-refund-status"
+                        >
+                          {payment.refund_status === "full"
+                            ? "Refunded"
+                            : "Partially refunded"}
+                        </div>
+                      )}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-sm"
+                      data-test-id="payment-captured"
+                    >
+                      {payment.amount_captured > 0
+                        ? formatAmount(
+                            payment.amount_captured,
+                            payment.currency
+                          )
+                        : "No"}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-sm text-gray-600"
+                      data-test-id="payment-created"
+                    >
+                      {new Date(payment.created_at).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex gap-2">
+                        {can("payments:capture") &&
+                          ["authorized", "partially_captured"].includes(
+                            payment.status
+                          ) && (
+                            <button
+                              className="px-4 py-2 bg-black text-white text-sm rounded hover:bg-gray-800 transition"
+                              data-test-id="capture-button"
+                              onClick={() =>
+                                handleCapture(
+                                  payment.id,
+                                  payment.amount - payment.amount_captured
+                                )
+                              }
+                            >
+                              Capture
+                            </button>
+                          )}
+                        {can("payments:capture") &&
+                          payment.status === "authorized" && (
+                            <button
+                              className="px-4 py-2 border border-gray-300 text-sm rounded hover:bg-gray-50 transition"
+                              data-test-id="void-button"
+                              onClick={() => handleVoid(payment.id)}
+                            >
+                              Void
+                            </button>
+                          )}
+                        {can("refunds:create") &&
+                          REFUNDABLE_STATUSES.includes(payment.status) && (
+                            <button
+                              className="px-4 py-2 border border-gray-300 text-sm rounded hover:bg-gray-50 transition"
+                              data-test-id="refund-button"
+                              onClick={() =>
+                                setRefundingId(
+                                  refundingId === payment.id ? null : payment.id
+                                )
+                              }
+                            >
+                              Refund
+                            </button>
+                          )}
+                      </div>
+                    </td>
+                  </tr>
+                  {refundingId === payment.id && (
+                    <tr className="bg-gray-50" data-test-id="refund-row">
+                      <td colSpan={8}>
+                        <RefundForm
+                          payment={payment}
+                          onChange={fetchPayments}
+                        />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
               ))}
             </tbody>
           </table>
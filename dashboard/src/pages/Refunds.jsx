@@ -1,17 +1,10 @@
 import React, { useState, useEffect } from "react";
-import axios from "axios";
+import { Link } from "react-router-dom";
+import api from "../api";
+import ExportButton from "../ExportButton";
+import { formatAmount } from "../currency";
 
-const API_URL = process.env.REACT_APP_API_URL || "http://localhost:8000";
-const API_KEY = "key_test_abc123";
-const API_SECRET = "secret_test_xyz789";
-
-const api = axios.create({
-  baseURL: API_URL,
-  headers: {
-    "X-Api-Key": API_KEY,
-    "X-Api-Secret": API_SECRET,
-  },
-});
+const POLL_INTERVAL_MS = 2000;
 
 function Refunds() {
   const [refunds, setRefunds] = useState([]);
@@ -21,6 +14,15 @@ function Refunds() {
     fetchRefunds();
   }, []);
 
+  // Keep refreshing while the worker still has refunds to process
+  useEffect(() => {
+    if (!refunds.some((refund) => refund.status === "pending")) {
+      return undefined;
+    }
+    const timer = setTimeout(fetchRefunds, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [refunds]);
+
   const fetchRefunds = async () => {
     try {
       const response = await api.get("/api/v1/refunds?limit=50");
@@ -46,6 +48,8 @@ function Refunds() {
         return "bg-black text-white";
       case "pending":
         return "bg-gray-300 text-black";
+      case "failed":
+        return "bg-gray-600 text-white";
       default:
         return "bg-gray-100 text-black";
     }
@@ -53,7 +57,10 @@ function Refunds() {
 
   return (
     <div data-test-id="refunds-page">
-      <h2 className="text-3xl font-bold text-black mb-8">Refunds</h2>
+      <div className="flex items-center justify-between mb-8">
+        <h2 className="text-3xl font-bold text-black">Refunds</h2>
+        <ExportButton type="refunds" />
+      </div>
 
       <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
         {refunds.length === 0 ? (
@@ -108,13 +115,18 @@ function Refunds() {
                     className="px-6 py-4 text-sm font-mono"
                     data-test-id="refund-payment-id"
                   >
-                    {refund.payment_id}
+                    <Link
+                      to={`/payments/${refund.payment_id}`}
+                      className="hover:underline"
+                    >
+                      {refund.payment_id}
+                    </Link>
                   </td>
                   <td
                     className="px-6 py-4 text-sm"
                     data-test-id="refund-amount"
                   >
-                    ₹{(refund.amount / 100).toFixed(2)}
+                    {formatAmount(refund.amount, refund.currency)}
                   </td>
                   <td
                     className="px-6 py-4 text-sm"
@@ -127,6 +139,7 @@ function Refunds() {
                       className={`inline-block px-3 py-1 text-xs font-medium rounded-full ${getStatusStyle(
                         refund.status
                       )}`}
+                      title={refund.error_description}
                     >
                       {refund.status}
                     </span>
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import api from "../api";
+import { formatAmount } from "../currency";
+
+// Describes what a payment was made with, e.g. "upi · user@paytm"
+function paymentDetail(payment) {
+  const source =
+    payment.method === "card"
+      ? payment.card_last4 && `•••• ${payment.card_last4}`
+      : payment.vpa;
+  return [payment.method, source, payment.email].filter(Boolean).join(" · ");
+}
+
+function ResultSection({ title, testId, rows, columns }) {
+  return (
+    <div
+      className="bg-white border border-gray-200 rounded-lg overflow-hidden mb-8"
+      data-test-id={testId}
+    >
+      <h3 className="text-xl font-bold text-black px-6 py-4 border-b border-gray-200">
+        {title} ({rows.length})
+      </h3>
+      {rows.length === 0 ? (
+        <div className="px-6 py-4 text-sm text-gray-500">No matches</div>
+      ) : (
+        <table className="w-full">
+          <tbody className="divide-y divide-gray-100">
+            {rows.map((row) => (
+              <tr
+                key={row.id}
+                className="hover:bg-gray-50"
+                data-test-id="search-result"
+                data-result-id={row.id}
+              >
+                {columns.map((column, i) => (
+                  <td key={i} className="px-6 py-4 text-sm">
+                    {column(row)}
+                  </td>
+                ))}
+                <td className="px-6 py-4 text-xs text-gray-500 text-right">
+                  matched {row.matched_on.join(", ")}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function Search() {
+  const [searchParams] = useSearchParams();
+  const q = searchParams.get("q") || "";
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchResults();
+  }, [q]);
+
+  const fetchResults = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await api.get(
+        `/api/v1/search?q=${encodeURIComponent(q)}`
+      );
+      setResults(response.data);
+    } catch (err) {
+      console.error("Error searching:", err);
+      setResults(null);
+      setError(err.response?.data?.error?.description || "Search failed");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const created = (row) => (
+    <span className="text-gray-600">
+      {new Date(row.created_at).toLocaleString()}
+    </span>
+  );
+
+  return (
+    <div data-test-id="search-page">
+      <h2 className="text-3xl font-bold text-black mb-8">
+        Results for &ldquo;{q}&rdquo;
+      </h2>
+
+      {error && (
+        <div className="p-4 rounded-lg mb-6 bg-gray-800 text-white">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="text-gray-500">Loading...</div>
+        </div>
+      ) : (
+        results && (
+          <>
+            <ResultSection
+              title="Payments"
+              testId="search-payments"
+              rows={results.payments}
+              columns={[
+                (payment) => (
+                  <Link
+                    to={`/payments/${payment.id}`}
+                    className="font-mono hover:underline"
+                  >
+                    {payment.id}
+                  </Link>
+                ),
+                (payment) => formatAmount(payment.amount, payment.currency),
+                paymentDetail,
+                (payment) => payment.status,
+                created,
+              ]}
+            />
+            <ResultSection
+              title="Orders"
+              testId="search-orders"
+              rows={results.orders}
+              columns={[
+                (order) => <span className="font-mono">{order.id}</span>,
+                (order) => formatAmount(order.amount, order.currency),
+                (order) => order.receipt || "-",
+                (order) => order.status,
+                created,
+              ]}
+            />
+            <ResultSection
+              title="Refunds"
+              testId="search-refunds"
+              rows={results.refunds}
+              columns={[
+                (refund) => <span className="font-mono">{refund.id}</span>,
+                (refund) => formatAmount(refund.amount, refund.currency),
+                (refund) => (
+                  <Link
+                    to={`/payments/${refund.payment_id}`}
+                    className="font-mono hover:underline"
+                  >
+                    {refund.payment_id}
+                  </Link>
+                ),
+                (refund) => refund.status,
+                created,
+              ]}
+            />
+          </>
+        )
+      )}
+    </div>
+  );
+}
+
+export default Search;
@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from "react";
+import api from "../api";
+import { useCan, useSession } from "../session";
+
+const ROLES = [
+  { value: "owner", label: "Owner" },
+  { value: "admin", label: "Admin" },
+  { value: "developer", label: "Developer" },
+  { value: "support", label: "Support" },
+  { value: "read_only", label: "Read-only" },
+];
+
+function Team() {
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [role, setRole] = useState("read_only");
+  const [message, setMessage] = useState(null);
+  const session = useSession();
+  const can = useCan();
+  const canManage = can("team:manage");
+  const isOwner = session.user?.role === "owner";
+
+  useEffect(() => {
+    fetchMembers();
+  }, []);
+
+  const fetchMembers = async () => {
+    try {
+      const response = await api.get("/api/v1/merchants/team");
+      setMembers(response.data.data || []);
+    } catch (error) {
+      console.error("Error fetching team:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showError = (error, fallback) => {
+    setMessage({
+      type: "error",
+      text: error.response?.data?.error?.description || fallback,
+    });
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    try {
+      await api.post("/api/v1/merchants/team", {
+        name,
+        email,
+        password,
+        role,
+      });
+      setName("");
+      setEmail("");
+      setPassword("");
+      setMessage({ type: "success", text: "Team member added" });
+      setTimeout(() => setMessage(null), 3000);
+      fetchMembers();
+    } catch (error) {
+      showError(error, "Failed to add team member");
+    }
+  };
+
+  const handleRoleChange = async (userId, newRole) => {
+    try {
+      await api.put(`/api/v1/merchants/team/${userId}`, { role: newRole });
+      fetchMembers();
+    } catch (error) {
+      showError(error, "Failed to update role");
+    }
+  };
+
+  const handleRemove = async (userId) => {
+    if (!window.confirm("Remove this team member?")) {
+      return;
+    }
+    try {
+      await api.delete(`/api/v1/merchants/team/${userId}`);
+      fetchMembers();
+    } catch (error) {
+      showError(error, "Failed to remove team member");
+    }
+  };
+
+  // Owners can only be managed by other owners, and nobody edits themselves
+  const canEdit = (member) =>
+    canManage &&
+    member.id !== session.user?.id &&
+    (member.role !== "owner" || isOwner);
+
+  const assignableRoles = ROLES.filter(
+    (option) => option.value !== "owner" || isOwner
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-gray-500">Loading...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div data-test-id="team-page">
+      <h2 className="text-3xl font-bold text-black mb-8">Team</h2>
+
+      {message && (
+        <div
+          className={`p-4 rounded-lg mb-6 ${
+            message.type === "success"
+              ? "bg-gray-100 text-black"
+              : "bg-gray-800 text-white"
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {canManage && (
+        <div className="bg-white border border-gray-200 rounded-lg p-6 mb-8">
+          <h3 className="text-xl font-bold text-black mb-4">Add Member</h3>
+          <form
+            className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end"
+            data-test-id="add-member-form"
+            onSubmit={handleAddMember}
+          >
+            <input
+              type="text"
+              placeholder="Name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+              data-test-id="member-name-input"
+            />
+            <input
+              type="email"
+              placeholder="Email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+              required
+              data-test-id="member-email-input"
+            />
+            <input
+              type="password"
+              placeholder="Initial password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              minLength={8}
+              className="px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+              required
+              data-test-id="member-password-input"
+            />
+            <select
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className="px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
+              data-test-id="member-role-select"
+            >
+              {assignableRoles.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="px-6 py-3 bg-black text-white rounded-lg hover:bg-gray-800 transition"
+              data-test-id="add-member-button"
+            >
+              Add
+            </button>
+          </form>
+        </div>
+      )}
+
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <table className="w-full" data-test-id="team-table">
+          <thead className="bg-gray-50 border-b border-gray-200">
+            <tr>
+              <th className="px-6 py-4 text-left text-sm font-semibold text-gray-600">
+                Name
+              </th>
+              <th className="px-6 py-4 text-left text-sm font-semibold text-gray-600">
+                Email
+              </th>
+              <th className="px-6 py-4 text-left text-sm font-semibold text-gray-600">
+                Role
+              </th>
+              <th className="px-6 py-4 text-left text-sm font-semibold text-gray-600">
+                Last Login
+              </th>
+              <th className="px-6 py-4 text-left text-sm font-semibold text-gray-600">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {members.map((member) => (
+              <tr
+                key={member.id}
+                className="hover:bg-gray-50"
+                data-test-id="member-row"
+                data-user-id={member.id}
+              >
+                <td className="px-6 py-4 text-sm">{member.name || "-"}</td>
+                <td className="px-6 py-4 text-sm" data-test-id="member-email">
+                  {member.email}
+                </td>
+                <td className="px-6 py-4 text-sm" data-test-id="member-role">
+                  {canEdit(member) ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) =>
+                        handleRoleChange(member.id, e.target.value)
+                      }
+                      className="px-3 py-2 border border-gray-300 rounded focus:outline-none focus:border-black"
+                    >
+                      {assignableRoles.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    ROLES.find((option) => option.value === member.role)
+                      ?.label || member.role
+                  )}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {member.last_login_at
+                    ? new Date(member.last_login_at).toLocaleString()
+                    : "-"}
+                </td>
+                <td className="px-6 py-4">
+                  {canEdit(member) && (
+                    <button
+                      className="px-4 py-2 border border-gray-300 rounded hover:bg-gray-50 transition text-sm"
+                      data-test-id="remove-member-button"
+                      onClick={() => handleRemove(member.id)}
+                    >
+                      Remove
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default Team;
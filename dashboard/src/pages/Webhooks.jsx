@@ -1,17 +1,6 @@
 import React, { useState, useEffect } from "react";
-import axios from "axios";
-
-const API_URL = process.env.REACT_APP_API_URL || "http://localhost:8000";
-const API_KEY = "key_test_abc123";
-const API_SECRET = "secret_test_xyz789";
-
-const api = axios.create({
-  baseURL: API_URL,
-  headers: {
-    "X-Api-Key": API_KEY,
-    "X-Api-Secret": API_SECRET,
-  },
-});
+import api from "../api";
+import { useCan } from "../session";
 
 function Webhooks() {
   const [webhookUrl, setWebhookUrl] = useState("");
@@ -19,6 +8,8 @@ function Webhooks() {
   const [webhookLogs, setWebhookLogs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [message, setMessage] = useState(null);
+  const can = useCan();
+  const canManage = can("webhooks:manage");
 
   useEffect(() => {
     fetchData();
@@ -143,49 +134,54 @@ function Webhooks() {
               placeholder="https://yoursite.com/webhook"
               value={webhookUrl}
               onChange={(e) => setWebhookUrl(e.target.value)}
+              disabled={!canManage}
               className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:border-black"
             />
           </div>
 
-          <div className="mb-6">
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Webhook Secret
-            </label>
-            <div className="flex items-center gap-4">
-              <code
-                className="flex-1 bg-gray-100 px-4 py-3 rounded-lg font-mono text-sm"
-                data-test-id="webhook-secret"
+          {canManage && (
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Webhook Secret
+              </label>
+              <div className="flex items-center gap-4">
+                <code
+                  className="flex-1 bg-gray-100 px-4 py-3 rounded-lg font-mono text-sm"
+                  data-test-id="webhook-secret"
+                >
+                  {webhookSecret}
+                </code>
+                <button
+                  type="button"
+                  className="px-4 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition"
+                  data-test-id="regenerate-secret-button"
+                  onClick={handleRegenerateSecret}
+                >
+                  Regenerate
+                </button>
+              </div>
+            </div>
+          )}
+
+          {canManage && (
+            <div className="flex gap-4">
+              <button
+                type="submit"
+                className="px-6 py-3 bg-black text-white rounded-lg hover:bg-gray-800 transition"
+                data-test-id="save-webhook-button"
               >
-                {webhookSecret}
-              </code>
+                Save Configuration
+              </button>
               <button
                 type="button"
-                className="px-4 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition"
-                data-test-id="regenerate-secret-button"
-                onClick={handleRegenerateSecret}
+                className="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition"
+                data-test-id="test-webhook-button"
+                onClick={handleTestWebhook}
               >
-                Regenerate
+                Send Test Webhook
               </button>
             </div>
-          </div>
-
-          <div className="flex gap-4">
-            <button
-              type="submit"
-              className="px-6 py-3 bg-black text-white rounded-lg hover:bg-gray-800 transition"
-              data-test-id="save-webhook-button"
-            >
-              Save Configuration
-            </button>
-            <button
-              type="button"
-              className="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition"
-              data-test-id="test-webhook-button"
-              onClick={handleTestWebhook}
-            >
-              Send Test Webhook
-            </button>
-          </div>
+          )}
         </form>
       </div>
 
@@ -265,14 +261,16 @@ function Webhooks() {
                     {log.response_code || "-"}
                   </td>
                   <td className="px-6 py-4">
-                    <button
-                      className="px-4 py-2 border border-gray-300 rounded hover:bg-gray-50 transition text-sm"
-                      data-test-id="retry-webhook-button"
-                      data-webhook-id={log.id}
-                      onClick={() => handleRetryWebhook(log.id)}
-                    >
-                      Retry
-                    </button>
+                    {canManage && (
+                      <button
+                        className="px-4 py-2 border border-gray-300 rounded hover:bg-gray-50 transition text-sm"
+                        data-test-id="retry-webhook-button"
+                        data-webhook-id={log.id}
+                        onClick={() => handleRetryWebhook(log.id)}
+                      >
+                        Retry
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))}
@@ -0,0 +1,15 @@
+import { createContext, useContext } from "react";
+
+// Logged in merchant, user and the permissions their role grants
+export const SessionContext = createContext(null);
+
+export function useSession() {
+  return useContext(SessionContext);
+}
+
+// Mirrors the backend's role checks so the UI only offers allowed actions
+export function useCan() {
+  const session = useContext(SessionContext);
+  return (permission) =>
+    Boolean(session && (session.permissions || []).includes(permission));
+}
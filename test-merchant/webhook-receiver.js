@@ -49,8 +49,8 @@ app.post("/webhook", (req, res) => {
   console.log(JSON.stringify(payload, null, 2));
 
   // Simulate processing
-  if (payload.event === "payment.success") {
-    console.log("\n🎉 Payment successful!");
+  if (payload.event === "payment.authorized") {
+    console.log("\n🎉 Payment authorized!");
     console.log("Payment ID:", payload.data.payment.id);
     console.log(
       "Amount:",
@@ -61,6 +61,18 @@ app.post("/webhook", (req, res) => {
     console.log("\n❌ Payment failed");
     console.log("Payment ID:", payload.data.payment.id);
     console.log("Error:", payload.data.payment.error_description);
+  } else if (
+    payload.event === "payment.voided" ||
+    payload.event === "payment.expired"
+  ) {
+    console.log("\n🚫 Payment released:", payload.data.payment.status);
+    console.log("Payment ID:", payload.data.payment.id);
+  } else if (
+    payload.event === "order.paid" ||
+    payload.event === "order.expired"
+  ) {
+    console.log("\n🧾 Order", payload.data.order.status);
+    console.log("Order ID:", payload.data.order.id);
   } else if (payload.event === "refund.processed") {
     console.log("\n💰 Refund processed");
     console.log("Refund ID:", payload.data.refund.id);
@@ -154,6 +154,7 @@ async function testOrderEndpoints() {
     amount: 100000,
     currency: "INR",
     receipt: "test_receipt_001",
+    notes: { cart_id: "cart_001", gift: true },
   });
 
   assert(
@@ -186,6 +187,12 @@ async function testOrderEndpoints() {
     "Get Order - GET /api/v1/orders/:orderId returns 200"
   );
   assert(getOrder.data.id === orderId, "Get Order - Returns correct order");
+  assert(
+    getOrder.data.notes &&
+      getOrder.data.notes.cart_id === "cart_001" &&
+      getOrder.data.notes.gift === true,
+    "Get Order - Returns notes given at creation"
+  );
 
   // Get Non-existent Order
   const notFoundOrder = await api.get("/api/v1/orders/order_nonexistent123");
@@ -195,7 +202,9 @@ async function testOrderEndpoints() {
   );
 
   // List Orders
-  const listOrders = await api.get("/api/v1/orders?limit=10&offset=0");
+  const listOrders = await api.get(
+    "/api/v1/orders?limit=10&include_total=true"
+  );
   assert(
     listOrders.status === 200,
     "List Orders - GET /api/v1/orders returns 200"
@@ -216,9 +225,109 @@ async function testOrderEndpoints() {
     "Create Order Validation - Missing amount returns 400"
   );
 
+  // Validation - notes must be a flat object
+  const invalidNotes = await api.post("/api/v1/orders", {
+    amount: 50000,
+    notes: { nested: { key: "value" } },
+  });
+  assert(
+    invalidNotes.status === 400,
+    "Create Order Validation - Nested notes return 400"
+  );
+
   return orderId;
 }
 
+async function testCurrencies() {
+  log("\n=== Testing Currencies ===", "section");
+
+  // List Currencies - GET /api/v1/currencies (no authentication needed)
+  const list = await axios.get(`${API_URL}/api/v1/currencies`, {
+    validateStatus: () => true,
+  });
+  assert(list.status === 200, "List Currencies - GET returns 200");
+  const inr = (list.data.data || []).find((c) => c.code === "INR");
+  const jpy = (list.data.data || []).find((c) => c.code === "JPY");
+  assert(
+    inr && inr.exponent === 2 && Number.isInteger(inr.min_amount),
+    "List Currencies - INR has exponent and amount limits"
+  );
+  assert(jpy && jpy.exponent === 0, "List Currencies - JPY has no minor unit");
+
+  // Unknown codes fail schema validation
+  const unknown = await api.post("/api/v1/orders", {
+    amount: 5000,
+    currency: "XYZ",
+  });
+  assert(
+    unknown.status === 400 && unknown.data.error.field === "currency",
+    "Create Order Validation - Unknown currency returns 400"
+  );
+
+  // Known currencies must be enabled for the merchant first
+  const profile = await api.get("/api/v1/merchants/profile");
+  const supported = profile.data.settings.supported_currencies;
+  assert(
+    Array.isArray(supported) && supported.includes("INR"),
+    "Get Profile - Returns supported_currencies"
+  );
+
+  if (!supported.includes("USD")) {
+    const disabled = await api.post("/api/v1/orders", {
+      amount: 5000,
+      currency: "USD",
+    });
+    assert(
+      disabled.status === 400 &&
+        disabled.data.error.reason === "unsupported_currency",
+      "Create Order Validation - Disabled currency returns unsupported_currency"
+    );
+  }
+
+  const enable = await api.put("/api/v1/merchants/settings", {
+    supported_currencies: [...supported, "USD", "EUR"],
+  });
+  assert(
+    enable.status === 200 &&
+      enable.data.supported_currencies.includes("USD") &&
+      enable.data.supported_currencies.includes("EUR"),
+    "Update Settings - Enables USD and EUR"
+  );
+
+  const usdOrder = await api.post("/api/v1/orders", {
+    amount: 2500,
+    currency: "USD",
+  });
+  assert(
+    usdOrder.status === 201 && usdOrder.data.currency === "USD",
+    "Create Order - Accepts an enabled currency"
+  );
+
+  const belowMinimum = await api.post("/api/v1/orders", {
+    amount: 49,
+    currency: "EUR",
+  });
+  assert(
+    belowMinimum.status === 400 &&
+      belowMinimum.data.error.field === "amount" &&
+      belowMinimum.data.error.reason === "out_of_range",
+    "Create Order Validation - Amount below currency minimum returns 400"
+  );
+
+  const emptyList = await api.put("/api/v1/merchants/settings", {
+    supported_currencies: [],
+  });
+  assert(
+    emptyList.status === 400,
+    "Update Settings Validation - Empty supported_currencies returns 400"
+  );
+
+  // Restore so later tests see the usual behaviour
+  await api.put("/api/v1/merchants/settings", {
+    supported_currencies: supported,
+  });
+}
+
 async function testPaymentEndpoints(orderId) {
   log("\n=== Testing Payment Endpoints ===", "section");
 
@@ -238,8 +347,8 @@ async function testPaymentEndpoints(orderId) {
     "Create Payment - Returns payment ID with correct prefix"
   );
   assert(
-    createPayment.data.status === "pending",
-    "Create Payment - Initial status is pending"
+    createPayment.data.status === "created",
+    "Create Payment - Initial status is created"
   );
   assert(createPayment.data.method === "upi", "Create Payment - Method is upi");
   assert(
@@ -267,12 +376,86 @@ async function testPaymentEndpoints(orderId) {
   // Check payment status after processing
   const processedPayment = await api.get(`/api/v1/payments/${paymentId}`);
   const isProcessed =
-    processedPayment.data.status === "success" ||
+    processedPayment.data.status === "authorized" ||
     processedPayment.data.status === "failed";
-  assert(isProcessed, "Async Processing - Payment status changed from pending");
+  assert(isProcessed, "Async Processing - Payment status changed from created");
+
+  // Status history - one entry per transition, oldest first
+  const history = processedPayment.data.status_history;
+  assert(
+    Array.isArray(history) && history.length === 2,
+    "Status History - Records creation and processing"
+  );
+  assert(
+    history[0].from_status === null && history[0].to_status === "created",
+    "Status History - First entry is the creation"
+  );
+  assert(
+    history[1].from_status === "created" &&
+      history[1].to_status === processedPayment.data.status &&
+      history[1].reason &&
+      history[1].created_at,
+    "Status History - Second entry has status, reason and timestamp"
+  );
+
+  // Payments for an order - GET /api/v1/orders/:orderId/payments
+  const orderPayments = await api.get(`/api/v1/orders/${orderId}/payments`);
+  assert(
+    orderPayments.status === 200 &&
+      orderPayments.data.data.some((attempt) => attempt.id === paymentId),
+    "Order Payments - GET /api/v1/orders/:orderId/payments lists the attempt"
+  );
+
+  const expandedOrder = await api.get(
+    `/api/v1/orders/${orderId}?expand[]=payments`
+  );
+  assert(
+    Array.isArray(expandedOrder.data.payments) &&
+      expandedOrder.data.payments.length === orderPayments.data.data.length,
+    "Order Payments - expand[]=payments embeds attempts in the order"
+  );
+
+  const unexpandedOrder = await api.get(`/api/v1/orders/${orderId}`);
+  assert(
+    unexpandedOrder.data.payments === undefined,
+    "Order Payments - Attempts are only embedded when expanded"
+  );
+
+  const missingOrderPayments = await api.get(
+    "/api/v1/orders/order_nonexistent123/payments"
+  );
+  assert(
+    missingOrderPayments.status === 404,
+    "Order Payments - Non-existent order returns 404"
+  );
+
+  // Order lifecycle follows the payment outcome
+  const paidOrder = await api.get(`/api/v1/orders/${orderId}`);
+  if (processedPayment.data.status === "authorized") {
+    assert(
+      paidOrder.data.status === "paid",
+      "Order Lifecycle - Order is paid after authorization"
+    );
+
+    const secondPayment = await api.post("/api/v1/payments", {
+      order_id: orderId,
+      method: "upi",
+      vpa: "second@upi",
+    });
+    assert(
+      secondPayment.status === 400 &&
+        secondPayment.data.error.description.includes("already paid"),
+      "Order Lifecycle - Second payment on a paid order returns 400"
+    );
+  } else {
+    assert(
+      paidOrder.data.status === "attempted",
+      "Order Lifecycle - Order is attempted after a failed payment"
+    );
+  }
 
   // List Payments
-  const listPayments = await api.get("/api/v1/payments?limit=10&offset=0");
+  const listPayments = await api.get("/api/v1/payments?limit=10");
   assert(
     listPayments.status === 200,
     "List Payments - GET /api/v1/payments returns 200"
@@ -385,17 +568,36 @@ async function testCapturePayment() {
   // Check if payment succeeded
   const paymentStatus = await api.get(`/api/v1/payments/${paymentId}`);
 
-  if (paymentStatus.data.status === "success") {
+  if (paymentStatus.data.status === "authorized") {
     // Capture Payment - POST /api/v1/payments/:paymentId/capture
     const capture = await api.post(`/api/v1/payments/${paymentId}/capture`, {
       amount: 75000,
     });
 
     assert(capture.status === 200, "Capture Payment - POST returns 200");
+    assert(
+      capture.data.status === "captured",
+      "Capture Payment - status is captured"
+    );
     assert(
       capture.data.captured === true,
       "Capture Payment - captured field is true"
     );
+    assert(
+      capture.data.amount_captured === 75000,
+      "Capture Payment - amount_captured is the full amount"
+    );
+
+    const capturedPayment = await api.get(`/api/v1/payments/${paymentId}`);
+    const lastTransition =
+      capturedPayment.data.status_history[
+        capturedPayment.data.status_history.length - 1
+      ];
+    assert(
+      lastTransition.from_status === "authorized" &&
+        lastTransition.to_status === "captured",
+      "Capture Payment - Transition recorded in status history"
+    );
 
     // Try to capture again (should fail)
     const captureAgain = await api.post(
@@ -438,6 +640,223 @@ async function testCapturePayment() {
   return paymentId;
 }
 
+async function testAutomaticCapture() {
+  log("\n=== Testing Automatic Capture ===", "section");
+
+  // Invalid capture mode on an order
+  const invalidMode = await api.post("/api/v1/orders", {
+    amount: 20000,
+    capture_mode: "instant",
+  });
+  assert(
+    invalidMode.status === 400,
+    "Capture Mode Validation - Unknown capture_mode returns 400"
+  );
+
+  // Orders default to the merchant's capture mode
+  const profile = await api.get("/api/v1/merchants/profile");
+  const defaultOrder = await api.post("/api/v1/orders", { amount: 20000 });
+  assert(
+    defaultOrder.data.capture_mode === profile.data.settings.capture_mode,
+    "Capture Mode - Order inherits merchant capture_mode"
+  );
+
+  // Per-order override
+  const order = await api.post("/api/v1/orders", {
+    amount: 20000,
+    currency: "INR",
+    capture_mode: "automatic",
+  });
+  assert(
+    order.status === 201 && order.data.capture_mode === "automatic",
+    "Capture Mode - Order accepts capture_mode override"
+  );
+
+  const payment = await api.post("/api/v1/payments", {
+    order_id: order.data.id,
+    method: "upi",
+    vpa: "autocapture@upi",
+  });
+
+  log("Waiting for payment processing (10 seconds)...", "info");
+  await sleep(10000);
+
+  const processed = await api.get(`/api/v1/payments/${payment.data.id}`);
+  if (processed.data.status === "failed") {
+    log("Payment failed, skipping automatic capture checks", "info");
+    assert(true, "Automatic Capture - Skipped (payment failed)");
+    return;
+  }
+
+  assert(
+    processed.data.status === "captured" &&
+      processed.data.amount_captured === 20000,
+    "Automatic Capture - Payment captured without calling /capture"
+  );
+  assert(
+    processed.data.status_history.some(
+      (entry) =>
+        entry.from_status === "authorized" && entry.to_status === "captured"
+    ),
+    "Automatic Capture - Passes through authorized in status history"
+  );
+}
+
+// Registers a merchant of its own and returns a session client for it, so a
+// test can use short expiry windows without touching the shared merchant
+async function createTestMerchant(name) {
+  const email = `${name
+    .toLowerCase()
+    .replace(/\W+/g, "_")}_${Date.now()}@example.com`;
+  await axios.post(`${API_URL}/api/v1/auth/register`, {
+    name,
+    email,
+    password: "password123",
+  });
+  const { client } = await loginSession(email, "password123");
+  // Deliveries fail, but every webhook is still logged
+  await client.put("/api/v1/merchants/webhook", {
+    webhook_url: "http://localhost:9999/webhook",
+  });
+  return client;
+}
+
+// Polls a payment until it reaches one of the given statuses
+async function waitForPaymentStatus(client, paymentId, statuses, maxWaitMs) {
+  const deadline = Date.now() + maxWaitMs;
+  let payment = (await client.get(`/api/v1/payments/${paymentId}`)).data;
+  while (!statuses.includes(payment.status) && Date.now() < deadline) {
+    await sleep(500);
+    payment = (await client.get(`/api/v1/payments/${paymentId}`)).data;
+  }
+  return payment;
+}
+
+async function createAuthorizedPayment(client, amount) {
+  const order = await client.post("/api/v1/orders", { amount });
+  const payment = await client.post("/api/v1/payments", {
+    order_id: order.data.id,
+    method: "upi",
+    vpa: "expiry@upi",
+  });
+  return waitForPaymentStatus(
+    client,
+    payment.data.id,
+    ["authorized", "failed"],
+    10000
+  );
+}
+
+async function webhookEvents(client, paymentId) {
+  const logs = await client.get(
+    `/api/v1/webhooks?payment_id=${paymentId}&limit=100`
+  );
+  return (logs.data.data || []).map((log) => log.event);
+}
+
+// Needs the test environment's short expiry settings (see test/README.md):
+// a window of 5 "minutes" then lasts 5 seconds
+async function testAuthorizationExpiry() {
+  log("\n=== Testing Authorization Expiry ===", "section");
+
+  const merchant = await createTestMerchant("Expiry Test Merchant");
+  await merchant.put("/api/v1/merchants/settings", {
+    authorization_expiry_minutes: 5,
+    authorization_expiry_action: "void",
+  });
+
+  // Auto-void: one payment left authorized, one partially captured
+  const untouched = await createAuthorizedPayment(merchant, 30000);
+  const partial = await createAuthorizedPayment(merchant, 40000);
+  if (untouched.status !== "authorized" || partial.status !== "authorized") {
+    log("Payment failed, skipping authorization expiry tests", "info");
+    assert(true, "Authorization Expiry - Skipped (payment failed)");
+    return;
+  }
+  await merchant.post(`/api/v1/payments/${partial.id}/capture`, {
+    amount: 15000,
+  });
+
+  log("Waiting for authorizations to expire...", "info");
+  const voided = await waitForPaymentStatus(
+    merchant,
+    untouched.id,
+    ["voided"],
+    20000
+  );
+  const released = await waitForPaymentStatus(
+    merchant,
+    partial.id,
+    ["captured"],
+    20000
+  );
+
+  const voidedEntry = voided.status_history[voided.status_history.length - 1];
+  assert(
+    voided.status === "voided" && voided.amount_captured === 0,
+    "Authorization Expiry - Auto-void moves authorized payment to voided"
+  );
+  assert(
+    voidedEntry.from_status === "authorized" &&
+      voidedEntry.to_status === "voided" &&
+      voidedEntry.reason === "Authorization expired, voided automatically",
+    "Authorization Expiry - Auto-void recorded in status history"
+  );
+  assert(
+    (await webhookEvents(merchant, voided.id)).includes("payment.voided"),
+    "Authorization Expiry - Auto-void sends payment.voided webhook"
+  );
+  const reopened = await merchant.get(`/api/v1/orders/${voided.order_id}`);
+  assert(
+    reopened.data.status === "attempted",
+    "Authorization Expiry - Voided payment's order can be paid again"
+  );
+
+  const releasedEntry =
+    released.status_history[released.status_history.length - 1];
+  assert(
+    released.status === "captured" &&
+      released.amount_captured === 15000 &&
+      releasedEntry.from_status === "partially_captured" &&
+      releasedEntry.reason ===
+        "Authorization expired, uncaptured remainder released",
+    "Authorization Expiry - Auto-void releases the rest of a partial capture"
+  );
+  assert(
+    (await webhookEvents(merchant, released.id)).includes("payment.released"),
+    "Authorization Expiry - Released partial capture sends payment.released"
+  );
+
+  // Auto-capture
+  await merchant.put("/api/v1/merchants/settings", {
+    authorization_expiry_action: "capture",
+  });
+  const toCapture = await createAuthorizedPayment(merchant, 25000);
+  log("Waiting for authorization to be captured...", "info");
+  const captured = await waitForPaymentStatus(
+    merchant,
+    toCapture.id,
+    ["captured", "voided"],
+    20000
+  );
+
+  const capturedEntry =
+    captured.status_history[captured.status_history.length - 1];
+  assert(
+    captured.status === "captured" && captured.amount_captured === 25000,
+    "Authorization Expiry - Auto-capture captures the full amount"
+  );
+  assert(
+    capturedEntry.from_status === "authorized" &&
+      capturedEntry.reason === "Authorization expired, captured automatically",
+    "Authorization Expiry - Auto-capture recorded in status history"
+  );
+  assert(
+    (await webhookEvents(merchant, captured.id)).includes("payment.captured"),
+    "Authorization Expiry - Auto-capture sends payment.captured webhook"
+  );
+}
+
 async function testRefundEndpoints() {
   log("\n=== Testing Refund Endpoints ===", "section");
 
@@ -462,13 +881,31 @@ async function testRefundEndpoints() {
 
   const paymentStatus = await api.get(`/api/v1/payments/${paymentId}`);
 
-  if (paymentStatus.data.status === "success") {
+  if (paymentStatus.data.status === "authorized") {
+    // Authorized funds have not moved yet, so they cannot be refunded
+    const refundUncaptured = await api.post(
+      `/api/v1/payments/${paymentId}/refunds`,
+      {
+        amount: 40000,
+        reason: "Should fail",
+      }
+    );
+    assert(
+      refundUncaptured.status === 400,
+      "Create Refund Validation - Uncaptured payment returns 400"
+    );
+
+    await api.post(`/api/v1/payments/${paymentId}/capture`, {
+      amount: 100000,
+    });
+
     // Create Partial Refund - POST /api/v1/payments/:paymentId/refunds
     const createRefund = await api.post(
       `/api/v1/payments/${paymentId}/refunds`,
       {
         amount: 40000,
         reason: "Partial refund test",
+        notes: { ticket: "SUP-1042" },
       }
     );
 
@@ -498,6 +935,10 @@ async function testRefundEndpoints() {
       getRefund.data.id === refundId,
       "Get Refund - Returns correct refund"
     );
+    assert(
+      getRefund.data.notes && getRefund.data.notes.ticket === "SUP-1042",
+      "Get Refund - Returns notes given at creation"
+    );
 
     // Wait for refund processing
     log("Waiting for refund processing (6 seconds)...", "info");
@@ -514,6 +955,25 @@ async function testRefundEndpoints() {
       "Async Refund Processing - processed_at is set"
     );
 
+    // The payment reflects what has been refunded
+    const refundedPayment = await api.get(`/api/v1/payments/${paymentId}`);
+    assert(
+      refundedPayment.data.amount_refunded === 40000 &&
+        refundedPayment.data.refund_status === "partial",
+      "Payment Refund Status - Partially refunded after processing"
+    );
+    assert(
+      refundedPayment.data.refunds.length === 1 &&
+        refundedPayment.data.refunds[0].id === refundId,
+      "Payment Refund Status - Payment lists its refunds"
+    );
+    const refundedList = await api.get(`/api/v1/payments?order_id=${orderId}`);
+    assert(
+      refundedList.data.data[0].refund_status === "partial" &&
+        refundedList.data.data[0].refunds.length === 1,
+      "Payment Refund Status - List Payments includes refund fields"
+    );
+
     // Create another partial refund
     const secondRefund = await api.post(
       `/api/v1/payments/${paymentId}/refunds`,
@@ -542,7 +1002,7 @@ async function testRefundEndpoints() {
     );
 
     // List Refunds
-    const listRefunds = await api.get("/api/v1/refunds?limit=10&offset=0");
+    const listRefunds = await api.get("/api/v1/refunds?limit=10");
     assert(
       listRefunds.status === 200,
       "List Refunds - GET /api/v1/refunds returns 200"
@@ -580,6 +1040,355 @@ async function testRefundEndpoints() {
   );
 }
 
+// Needs TEST_MODE: the X-Test-Refund-Outcome header forces one refund to fail
+async function testRefundFailure() {
+  log("\n=== Testing Refund Failure ===", "section");
+
+  const merchant = await createTestMerchant("Refund Failure Merchant");
+  const authorized = await createAuthorizedPayment(merchant, 20000);
+  if (authorized.status !== "authorized") {
+    log("Payment failed, skipping refund failure tests", "info");
+    assert(true, "Refund Failure - Skipped (payment failed)");
+    return;
+  }
+  const paymentId = authorized.id;
+  await merchant.post(`/api/v1/payments/${paymentId}/capture`, {
+    amount: 20000,
+  });
+
+  const created = await merchant.post(
+    `/api/v1/payments/${paymentId}/refunds`,
+    { amount: 20000, reason: "Forced failure" },
+    {
+      headers: {
+        "X-Test-Refund-Outcome": "failed",
+        "Idempotency-Key": `refund_failure_${paymentId}`,
+      },
+    }
+  );
+  assert(
+    created.status === 201 && created.data.status === "pending",
+    "Refund Failure - Refund is created pending"
+  );
+
+  // The forced outcome is part of the request the key belongs to
+  const changedOutcome = await merchant.post(
+    `/api/v1/payments/${paymentId}/refunds`,
+    { amount: 20000, reason: "Forced failure" },
+    { headers: { "Idempotency-Key": `refund_failure_${paymentId}` } }
+  );
+  assert(
+    changedOutcome.status === 409,
+    "Refund Failure - Reusing the key without the outcome header returns 409"
+  );
+
+  log("Waiting for refund processing...", "info");
+  let refund = created.data;
+  for (let i = 0; i < 20 && refund.status === "pending"; i++) {
+    await sleep(500);
+    refund = (await merchant.get(`/api/v1/refunds/${created.data.id}`)).data;
+  }
+  assert(
+    refund.status === "failed" &&
+      refund.error_code === "REFUND_FAILED" &&
+      refund.error_description,
+    "Refund Failure - Refund fails with error_code and error_description"
+  );
+
+  const payment = await merchant.get(`/api/v1/payments/${paymentId}`);
+  assert(
+    payment.data.amount_refunded === 0 &&
+      payment.data.refund_status === "none" &&
+      payment.data.refunds.some(
+        (r) => r.id === refund.id && r.status === "failed"
+      ),
+    "Refund Failure - Failed refund does not count as refunded"
+  );
+
+  const failedRefunds = await merchant.get("/api/v1/refunds?status=failed");
+  assert(
+    failedRefunds.status === 200 &&
+      failedRefunds.data.data.length === 1 &&
+      failedRefunds.data.data[0].id === refund.id &&
+      failedRefunds.data.data[0].error_code === "REFUND_FAILED",
+    "List Refunds - status=failed returns failed refunds with error_code"
+  );
+
+  const events = await webhookEvents(merchant, paymentId);
+  assert(
+    events.includes("refund.created") && events.includes("refund.failed"),
+    "Refund Failure - Sends refund.created and refund.failed webhooks"
+  );
+
+  // The failed amount is back in the refundable balance
+  const retry = await merchant.post(`/api/v1/payments/${paymentId}/refunds`, {
+    amount: 20000,
+    reason: "Retry after failure",
+  });
+  assert(
+    retry.status === 201,
+    "Refund Failure - Failed amount can be refunded again"
+  );
+}
+
+async function testStats() {
+  log("\n=== Testing Stats ===", "section");
+
+  const from = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const query = `from=${encodeURIComponent(from)}&interval=hour&currency=INR`;
+
+  // Dashboard Stats - GET /api/v1/stats
+  const before = await api.get(`/api/v1/stats?${query}`);
+  assert(before.status === 200, "Stats - GET /api/v1/stats returns 200");
+  assert(
+    typeof before.data.payments.total === "number" &&
+      typeof before.data.payments.volume === "number" &&
+      typeof before.data.refunds.amount === "number",
+    "Stats - Returns payment and refund totals"
+  );
+  assert(
+    Array.isArray(before.data.by_status) &&
+      Array.isArray(before.data.by_method),
+    "Stats - Returns breakdowns by status and method"
+  );
+  assert(
+    before.data.series.length >= 24 &&
+      before.data.series.reduce((sum, bucket) => sum + bucket.payments, 0) ===
+        before.data.payments.total,
+    "Stats - Hourly series covers the range and adds up to the total"
+  );
+  assert(
+    before.data.payments.success_rate === null ||
+      (before.data.payments.success_rate >= 0 &&
+        before.data.payments.success_rate <= 1),
+    "Stats - Success rate is a fraction"
+  );
+
+  // Authorized payments count towards the success rate even once voided
+  const merchant = await createTestMerchant("Stats Test Merchant");
+  const payment = await createAuthorizedPayment(merchant, 5000);
+  if (payment.status === "authorized") {
+    await merchant.post(`/api/v1/payments/${payment.id}/void`);
+  }
+  const rated = await merchant.get(`/api/v1/stats?${query}`);
+  const countOf = (statuses) =>
+    rated.data.by_status
+      .filter((row) => statuses.includes(row.status))
+      .reduce((sum, row) => sum + row.count, 0);
+  const authorizedStatuses = [
+    "authorized",
+    "partially_captured",
+    "captured",
+    "voided",
+    "expired",
+  ];
+  assert(
+    rated.data.payments.success_rate ===
+      countOf(authorizedStatuses) / countOf([...authorizedStatuses, "failed"]),
+    "Stats - Success rate is authorized payments out of finished ones"
+  );
+  assert(
+    payment.status !== "authorized" || rated.data.payments.success_rate === 1,
+    "Stats - Voided payment counts as a success"
+  );
+
+  await api.post("/api/v1/orders", { amount: 5000, currency: "INR" });
+  const after = await api.get(`/api/v1/stats?${query}`);
+  assert(
+    after.data.orders.total === before.data.orders.total + 1,
+    "Stats - New orders are counted"
+  );
+
+  // Validation
+  const badInterval = await api.get("/api/v1/stats?interval=minute");
+  assert(
+    badInterval.status === 400 && badInterval.data.error.field === "interval",
+    "Stats - Unknown interval returns 400"
+  );
+  const reversed = await api.get("/api/v1/stats?from=2024-02-01&to=2024-01-01");
+  assert(
+    reversed.status === 400 && reversed.data.error.field === "from",
+    "Stats - from after to returns 400"
+  );
+  const tooManyBuckets = await api.get(
+    "/api/v1/stats?from=2023-01-01&to=2024-01-01&interval=hour"
+  );
+  assert(
+    tooManyBuckets.status === 400 &&
+      tooManyBuckets.data.error.reason === "out_of_range",
+    "Stats - Too many hourly buckets returns 400"
+  );
+}
+
+async function testSearch() {
+  log("\n=== Testing Search ===", "section");
+
+  const tag = Date.now().toString(36);
+  const order = await api.post("/api/v1/orders", {
+    amount: 5000,
+    receipt: `rcpt_search_${tag}`,
+  });
+  const payment = await api.post("/api/v1/payments", {
+    order_id: order.data.id,
+    method: "upi",
+    vpa: `search${tag}@okbank`,
+    email: `Buyer.${tag}@example.com`,
+    notes: { ticket: `SUP-${tag}` },
+  });
+  assert(
+    payment.status === 201 && payment.data.email === `Buyer.${tag}@example.com`,
+    "Create Payment - Stores optional customer email"
+  );
+
+  // Search - GET /api/v1/search
+  const byReceipt = await api.get(`/api/v1/search?q=search_${tag}`);
+  assert(
+    byReceipt.status === 200 &&
+      byReceipt.data.orders.length === 1 &&
+      byReceipt.data.orders[0].id === order.data.id &&
+      byReceipt.data.orders[0].matched_on.includes("receipt"),
+    "Search - Matches part of a receipt"
+  );
+
+  const byVpa = await api.get(`/api/v1/search?q=SEARCH${tag}@OKBANK`);
+  assert(
+    byVpa.data.payments.some(
+      (p) => p.id === payment.data.id && p.matched_on.includes("vpa")
+    ),
+    "Search - Matches VPAs case-insensitively"
+  );
+
+  const byEmail = await api.get(`/api/v1/search?q=buyer.${tag}`);
+  assert(
+    byEmail.data.payments.some((p) => p.matched_on.includes("email")),
+    "Search - Matches customer emails"
+  );
+
+  const byNotes = await api.get(`/api/v1/search?q=SUP-${tag}`);
+  assert(
+    byNotes.data.payments.some(
+      (p) => p.id === payment.data.id && p.matched_on.includes("notes")
+    ),
+    "Search - Matches notes values"
+  );
+
+  const byId = await api.get(
+    `/api/v1/search?q=${payment.data.id}&type=order&type=payment`
+  );
+  assert(
+    byId.data.payments[0]?.id === payment.data.id &&
+      byId.data.orders !== undefined &&
+      byId.data.refunds === undefined,
+    "Search - Matches payment IDs and honours type"
+  );
+
+  const wildcard = await api.get("/api/v1/search?q=%25%25");
+  assert(
+    wildcard.status === 200 &&
+      wildcard.data.orders.length === 0 &&
+      wildcard.data.payments.length === 0,
+    "Search - LIKE wildcards are matched literally"
+  );
+
+  const tooShort = await api.get("/api/v1/search?q=a");
+  assert(
+    tooShort.status === 400 && tooShort.data.error.field === "q",
+    "Search - Queries shorter than 2 characters return 400"
+  );
+}
+
+async function testExports() {
+  log("\n=== Testing Exports ===", "section");
+
+  const order = await api.post("/api/v1/orders", {
+    amount: 5000,
+    receipt: `rcpt_export_${Date.now()}`,
+  });
+  const payment = await api.post("/api/v1/payments", {
+    order_id: order.data.id,
+    method: "upi",
+    vpa: "export@paytm",
+    notes: { memo: "contains, a comma" },
+  });
+
+  // Export Payments - GET /api/v1/payments/export (streamed)
+  const csv = await api.get(
+    `/api/v1/payments/export?format=csv&order_id=${order.data.id}`,
+    { responseType: "text" }
+  );
+  const lines = String(csv.data).trim().split("\r\n");
+  assert(
+    csv.status === 200 && csv.headers["content-type"].startsWith("text/csv"),
+    "Export Payments - CSV is streamed with a text/csv content type"
+  );
+  assert(
+    lines[0].startsWith("id,order_id,amount,currency,method") &&
+      lines.length === 2 &&
+      lines[1].startsWith(`${payment.data.id},${order.data.id},5000,INR`) &&
+      lines[1].includes('"{""memo"":""contains, a comma""}"'),
+    "Export Payments - CSV has a header and escaped rows for the filter"
+  );
+
+  const json = await api.get(
+    `/api/v1/orders/export?format=json&min_amount=5000&max_amount=5000&from=${encodeURIComponent(
+      order.data.created_at
+    )}`
+  );
+  assert(
+    json.status === 200 &&
+      Array.isArray(json.data) &&
+      json.data.some((row) => row.id === order.data.id),
+    "Export Orders - JSON export is an array of rows"
+  );
+
+  const empty = await api.get(
+    "/api/v1/refunds/export?format=json&to=2000-01-01"
+  );
+  assert(
+    empty.status === 200 &&
+      Array.isArray(empty.data) &&
+      empty.data.length === 0,
+    "Export Refunds - Empty range exports an empty array"
+  );
+
+  // Background exports
+  const queued = await api.get("/api/v1/payments/export?background=true");
+  assert(
+    queued.status === 202 &&
+      queued.data.id.startsWith("exp_") &&
+      queued.data.status === "pending",
+    "Export Payments - background=true returns 202 with a pending export"
+  );
+
+  let exp = queued.data;
+  for (let i = 0; i < 20 && exp.status !== "completed"; i++) {
+    await sleep(500);
+    exp = (await api.get(`/api/v1/exports/${queued.data.id}`)).data;
+  }
+  assert(
+    exp.status === "completed" &&
+      exp.processed_rows === exp.total_rows &&
+      exp.download_url === `/api/v1/exports/${exp.id}/download`,
+    "Get Export - Background export completes with progress and a download URL"
+  );
+
+  const download = await api.get(exp.download_url, { responseType: "text" });
+  assert(
+    download.status === 200 &&
+      String(download.data).trim().split("\r\n").length === exp.total_rows + 1,
+    "Download Export - File has a row per exported payment"
+  );
+
+  // Validation
+  const badFormat = await api.get("/api/v1/payments/export?format=xml");
+  assert(
+    badFormat.status === 400 && badFormat.data.error.field === "format",
+    "Export Validation - Unknown format returns 400"
+  );
+  const missing = await api.get("/api/v1/exports/exp_doesnotexist1234");
+  assert(missing.status === 404, "Get Export - Unknown export returns 404");
+}
+
 async function testCardPayment() {
   log("\n=== Testing Card Payment ===", "section");
 
@@ -643,6 +1452,11 @@ async function testMerchantEndpoints() {
     profile.data.webhook_secret !== undefined,
     "Get Profile - Returns webhook_secret"
   );
+  assert(
+    profile.data.api_secret === undefined &&
+      profile.data.secret_hash === undefined,
+    "Get Profile - Does not expose API secret"
+  );
 
   // Update Webhook URL
   const updateWebhook = await api.put("/api/v1/merchants/webhook", {
@@ -668,6 +1482,67 @@ async function testMerchantEndpoints() {
     "Regenerate Secret - Returns new secret with correct prefix"
   );
 
+  // Merchant Settings - authorization expiry
+  assert(
+    profile.data.settings &&
+      Number.isInteger(profile.data.settings.authorization_expiry_minutes) &&
+      ["capture", "void"].includes(
+        profile.data.settings.authorization_expiry_action
+      ),
+    "Get Profile - Returns authorization expiry settings"
+  );
+
+  const invalidCaptureMode = await api.put("/api/v1/merchants/settings", {
+    capture_mode: "sometimes",
+  });
+  assert(
+    invalidCaptureMode.status === 400,
+    "Update Settings Validation - Unknown capture_mode returns 400"
+  );
+
+  const updateSettings = await api.put("/api/v1/merchants/settings", {
+    authorization_expiry_minutes: 60,
+    authorization_expiry_action: "capture",
+  });
+  assert(
+    updateSettings.status === 200 &&
+      updateSettings.data.authorization_expiry_minutes === 60 &&
+      updateSettings.data.authorization_expiry_action === "capture",
+    "Update Settings - PUT /api/v1/merchants/settings updates expiry"
+  );
+
+  const invalidAction = await api.put("/api/v1/merchants/settings", {
+    authorization_expiry_action: "refund",
+  });
+  assert(
+    invalidAction.status === 400,
+    "Update Settings Validation - Unknown expiry action returns 400"
+  );
+
+  const invalidWindow = await api.put("/api/v1/merchants/settings", {
+    authorization_expiry_minutes: 0,
+  });
+  assert(
+    invalidWindow.status === 400,
+    "Update Settings Validation - Non-positive expiry window returns 400"
+  );
+
+  const invalidOrderTtl = await api.put("/api/v1/merchants/settings", {
+    order_expiry_minutes: -5,
+  });
+  assert(
+    invalidOrderTtl.status === 400,
+    "Update Settings Validation - Non-positive order expiry returns 400"
+  );
+
+  // Restore the defaults so later tests see the usual behaviour
+  await api.put("/api/v1/merchants/settings", {
+    authorization_expiry_minutes:
+      profile.data.settings.authorization_expiry_minutes,
+    authorization_expiry_action:
+      profile.data.settings.authorization_expiry_action,
+  });
+
   // Test Webhook (without URL configured)
   await api.put("/api/v1/merchants/webhook", { webhook_url: null });
   const testNoUrl = await api.post("/api/v1/merchants/webhook/test");
@@ -677,6 +1552,239 @@ async function testMerchantEndpoints() {
   );
 }
 
+async function testApiKeyEndpoints() {
+  log("\n=== Testing API Key Endpoints ===", "section");
+
+  // Create API Key
+  const created = await api.post("/api/v1/merchants/keys", {
+    label: "Test suite key",
+    mode: "test",
+  });
+  assert(created.status === 201, "Create API Key - POST returns 201");
+  assert(
+    created.data.api_key?.startsWith("key_test_") &&
+      created.data.api_secret?.startsWith("secret_test_"),
+    "Create API Key - Returns key pair with mode prefix"
+  );
+
+  // New key pair authenticates
+  const keyClient = axios.create({
+    baseURL: API_URL,
+    headers: {
+      "X-Api-Key": created.data.api_key,
+      "X-Api-Secret": created.data.api_secret,
+    },
+    validateStatus: () => true,
+  });
+  const keyProfile = await keyClient.get("/api/v1/merchants/profile");
+  assert(
+    keyProfile.status === 200,
+    "Create API Key - New key pair authenticates"
+  );
+
+  // List API Keys
+  const list = await api.get("/api/v1/merchants/keys");
+  const listed = (list.data.data || []).find((k) => k.id === created.data.id);
+  assert(
+    list.status === 200 && listed && listed.api_secret === undefined,
+    "List API Keys - Lists key without exposing secret"
+  );
+  assert(
+    listed && listed.last_used_at !== null,
+    "List API Keys - Tracks last_used_at"
+  );
+
+  // Revoking the key in use is rejected
+  const selfRevoke = await keyClient.post(
+    `/api/v1/merchants/keys/${created.data.id}/revoke`
+  );
+  assert(
+    selfRevoke.status === 400,
+    "Revoke API Key - Cannot revoke key used for the request"
+  );
+
+  // Revoke API Key
+  const revoke = await api.post(
+    `/api/v1/merchants/keys/${created.data.id}/revoke`
+  );
+  assert(
+    revoke.status === 200 && revoke.data.revoked_at,
+    "Revoke API Key - POST returns 200 with revoked_at"
+  );
+
+  const revokedProfile = await keyClient.get("/api/v1/merchants/profile");
+  assert(
+    revokedProfile.status === 401,
+    "Revoke API Key - Revoked key returns 401"
+  );
+}
+
+// Logs in and returns a client carrying the session cookie
+async function loginSession(email, password) {
+  const login = await axios.post(
+    `${API_URL}/api/v1/auth/login`,
+    { email, password },
+    { validateStatus: () => true }
+  );
+  const cookie = (login.headers["set-cookie"] || [])
+    .map((c) => c.split(";")[0])
+    .find((c) => c.startsWith("gateway_session="));
+
+  return {
+    login,
+    cookie,
+    client: axios.create({
+      baseURL: API_URL,
+      headers: { Cookie: cookie || "" },
+      validateStatus: () => true,
+    }),
+  };
+}
+
+async function testSessionAuthentication() {
+  log("\n=== Testing Session Authentication ===", "section");
+
+  const email = `merchant_${Date.now()}@example.com`;
+  const register = await axios.post(
+    `${API_URL}/api/v1/auth/register`,
+    { name: "Session Test Merchant", email, password: "password123" },
+    { validateStatus: () => true }
+  );
+  assert(register.status === 201, "Register - POST returns 201");
+  assert(
+    register.data.merchant?.publishable_key?.startsWith("pk_test_"),
+    "Register - Merchant gets a publishable key"
+  );
+
+  const duplicate = await axios.post(
+    `${API_URL}/api/v1/auth/register`,
+    { name: "Duplicate", email, password: "password123" },
+    { validateStatus: () => true }
+  );
+  assert(duplicate.status === 409, "Register - Duplicate email returns 409");
+
+  const badLogin = await axios.post(
+    `${API_URL}/api/v1/auth/login`,
+    { email, password: "wrong-password" },
+    { validateStatus: () => true }
+  );
+  assert(badLogin.status === 401, "Login - Wrong password returns 401");
+
+  const {
+    login,
+    cookie,
+    client: session,
+  } = await loginSession(email, "password123");
+  assert(
+    login.status === 200 && cookie,
+    "Login - POST returns 200 and sets session cookie"
+  );
+
+  const me = await session.get("/api/v1/auth/me");
+  assert(
+    me.status === 200 && me.data.user?.email === email,
+    "Session - GET /api/v1/auth/me returns logged in user"
+  );
+  assert(
+    login.data.role === "owner" &&
+      login.data.user?.role === "owner" &&
+      JSON.stringify(login.data) === JSON.stringify(me.data),
+    "Login - Returns the same session body as /auth/me"
+  );
+
+  const orders = await session.get("/api/v1/orders?include_total=true");
+  assert(
+    orders.status === 200 && orders.data.total === 0,
+    "Session - Cookie authenticates API requests for its own merchant"
+  );
+
+  await session.post("/api/v1/auth/logout");
+  const afterLogout = await session.get("/api/v1/orders");
+  assert(afterLogout.status === 401, "Logout - Session no longer valid");
+}
+
+async function testTeamRoles() {
+  log("\n=== Testing Team Roles ===", "section");
+
+  const ownerEmail = `owner_${Date.now()}@example.com`;
+  await axios.post(`${API_URL}/api/v1/auth/register`, {
+    name: "Roles Test Merchant",
+    email: ownerEmail,
+    password: "password123",
+  });
+  const { client: owner } = await loginSession(ownerEmail, "password123");
+
+  const me = await owner.get("/api/v1/auth/me");
+  assert(
+    me.data.user?.role === "owner" &&
+      me.data.permissions.includes("team:manage"),
+    "Team Roles - Registering user is owner with team:manage"
+  );
+
+  const memberEmail = `readonly_${Date.now()}@example.com`;
+  const member = {
+    name: "Read Only",
+    email: memberEmail,
+    password: "password123",
+    role: "read_only",
+  };
+  const inviteKey = { headers: { "Idempotency-Key": `team_${memberEmail}` } };
+  const added = await owner.post("/api/v1/merchants/team", member, inviteKey);
+  assert(added.status === 201, "Team Roles - Owner adds read-only member");
+
+  const addedAgain = await owner.post(
+    "/api/v1/merchants/team",
+    member,
+    inviteKey
+  );
+  assert(
+    addedAgain.status === 201 &&
+      addedAgain.data.id === added.data.id &&
+      addedAgain.headers["idempotent-replayed"] === "true",
+    "Team Roles - Retried invite with the same Idempotency-Key is replayed"
+  );
+
+  const { client: readOnly } = await loginSession(memberEmail, "password123");
+  const readOrders = await readOnly.get("/api/v1/orders");
+  assert(readOrders.status === 200, "Team Roles - Read-only can list orders");
+
+  const writeOrder = await readOnly.post("/api/v1/orders", { amount: 10000 });
+  assert(
+    writeOrder.status === 403,
+    "Team Roles - Read-only cannot create orders"
+  );
+
+  const readKeys = await readOnly.get("/api/v1/merchants/keys");
+  assert(
+    readKeys.status === 403,
+    "Team Roles - Read-only cannot manage API keys"
+  );
+
+  const readOnlySettings = await readOnly.put("/api/v1/merchants/settings", {
+    authorization_expiry_action: "capture",
+  });
+  assert(
+    readOnlySettings.status === 403,
+    "Team Roles - Read-only cannot change merchant settings"
+  );
+
+  const promote = await owner.put(`/api/v1/merchants/team/${added.data.id}`, {
+    role: "developer",
+  });
+  const devOrder = await readOnly.post("/api/v1/orders", { amount: 10000 });
+  assert(
+    promote.status === 200 && devOrder.status === 201,
+    "Team Roles - Role change applies to existing session"
+  );
+
+  const removed = await owner.delete(`/api/v1/merchants/team/${added.data.id}`);
+  const afterRemove = await readOnly.get("/api/v1/orders");
+  assert(
+    removed.status === 200 && afterRemove.status === 401,
+    "Team Roles - Removed member loses access"
+  );
+}
+
 async function testWebhookLogsEndpoints() {
   log("\n=== Testing Webhook Logs Endpoints ===", "section");
 
@@ -690,7 +1798,7 @@ async function testWebhookLogsEndpoints() {
     amount: 10000,
     currency: "INR",
   });
-  await api.post("/api/v1/payments", {
+  const payment = await api.post("/api/v1/payments", {
     order_id: order.data.id,
     method: "upi",
     vpa: "webhook@upi",
@@ -699,8 +1807,30 @@ async function testWebhookLogsEndpoints() {
   // Wait for processing and webhook attempt
   await sleep(12000);
 
+  // Webhook logs for one payment, as on the dashboard's payment page
+  const paymentLogs = await api.get(
+    `/api/v1/webhooks?payment_id=${payment.data.id}&limit=100`
+  );
+  assert(
+    paymentLogs.status === 200 && paymentLogs.data.data.length > 0,
+    "Webhook Logs Filter - payment_id returns the payment's webhooks"
+  );
+  assert(
+    paymentLogs.data.data.every((log) =>
+      ["payment.", "order."].some((prefix) => log.event.startsWith(prefix))
+    ),
+    "Webhook Logs Filter - payment_id leaves out other webhooks"
+  );
+  const otherLogs = await api.get("/api/v1/webhooks?payment_id=pay_unknown");
+  assert(
+    otherLogs.status === 200 && otherLogs.data.data.length === 0,
+    "Webhook Logs Filter - Unknown payment_id returns no webhooks"
+  );
+
   // List Webhook Logs - GET /api/v1/webhooks
-  const webhookLogs = await api.get("/api/v1/webhooks?limit=10&offset=0");
+  const webhookLogs = await api.get(
+    "/api/v1/webhooks?limit=10&include_total=true"
+  );
   assert(
     webhookLogs.status === 200,
     "List Webhook Logs - GET /api/v1/webhooks returns 200"
@@ -718,8 +1848,8 @@ async function testWebhookLogsEndpoints() {
     "List Webhook Logs - Returns limit"
   );
   assert(
-    typeof webhookLogs.data.offset === "number",
-    "List Webhook Logs - Returns offset"
+    typeof webhookLogs.data.has_more === "boolean",
+    "List Webhook Logs - Returns has_more"
   );
 
   if (webhookLogs.data.data.length > 0) {
@@ -748,13 +1878,13 @@ async function testWebhookSignature() {
 
   // Test HMAC-SHA256 signature generation
   const payload = {
-    event: "payment.success",
+    event: "payment.authorized",
     timestamp: 1705315870,
     data: {
       payment: {
         id: "pay_test123",
         amount: 50000,
-        status: "success",
+        status: "authorized",
       },
     },
   };
@@ -856,7 +1986,7 @@ async function testDatabaseSchema() {
   // Wait and check for refunds and webhook_logs
   await sleep(8000);
 
-  if (paymentDetails.data.status === "success") {
+  if (paymentDetails.data.status === "captured") {
     // Create refund to verify refunds table
     const refund = await api.post(
       `/api/v1/payments/${payment.data.id}/refunds`,
@@ -921,11 +2051,21 @@ async function runAllTests() {
 
     const orderId = await testOrderEndpoints();
     await testPaymentEndpoints(orderId);
+    await testCurrencies();
     await testIdempotencyKey();
     await testCardPayment();
     await testCapturePayment();
+    await testAutomaticCapture();
+    await testAuthorizationExpiry();
     await testRefundEndpoints();
+    await testRefundFailure();
+    await testStats();
+    await testSearch();
+    await testExports();
     await testMerchantEndpoints();
+    await testApiKeyEndpoints();
+    await testSessionAuthentication();
+    await testTeamRoles();
     await testWebhookLogsEndpoints();
     await testWebhookSignature();
     await testCheckoutSDK();
@@ -13,6 +13,7 @@ const API_URL = process.env.API_URL || "http://localhost:8000";
 const CHECKOUT_URL = process.env.CHECKOUT_URL || "http://localhost:3001";
 const API_KEY = "key_test_abc123";
 const API_SECRET = "secret_test_xyz789";
+const PUBLISHABLE_KEY = "pk_test_abc123";
 const WEBHOOK_SECRET = "whsec_test_abc123";
 
 // API client with authentication
@@ -69,16 +70,52 @@ async function waitForPaymentProcessing(paymentId, maxWaitSeconds = 15) {
   for (let i = 0; i < maxAttempts; i++) {
     await sleep(pollInterval);
     const payment = await api.get(`/api/v1/payments/${paymentId}`);
-    if (payment.data.status === "success" || payment.data.status === "failed") {
+    if (
+      payment.data.status === "authorized" ||
+      payment.data.status === "failed"
+    ) {
       return payment.data;
     }
   }
-  // Return final status even if still pending
+  // Return final status even if still created
   const finalPayment = await api.get(`/api/v1/payments/${paymentId}`);
   return finalPayment.data;
 }
 
-// Helper function to wait for refund to be processed with polling
+// Helper function to wait for a payment to be authorized and capture it, since
+// only captured payments can be refunded
+async function waitForCapturedPayment(paymentId, maxWaitSeconds = 15) {
+  const payment = await waitForPaymentProcessing(paymentId, maxWaitSeconds);
+  if (payment.status !== "authorized") {
+    return payment;
+  }
+  const capture = await api.post(`/api/v1/payments/${paymentId}/capture`, {
+    amount: payment.amount,
+  });
+  return capture.status === 200 ? capture.data : payment;
+}
+
+// Helper function to register a merchant of its own and return a client
+// authenticated with its session cookie, for tests that change settings
+async function createTestMerchant(name) {
+  const email = `merchant_${generateUniqueId()}@example.com`;
+  const register = await axios.post(
+    `${API_URL}/api/v1/auth/register`,
+    { name, email, password: "password123" },
+    { validateStatus: () => true }
+  );
+  const cookie = (register.headers["set-cookie"] || [])
+    .map((c) => c.split(";")[0])
+    .find((c) => c.startsWith("gateway_session="));
+
+  return axios.create({
+    baseURL: API_URL,
+    headers: { Cookie: cookie || "", "Content-Type": "application/json" },
+    validateStatus: () => true,
+  });
+}
+
+// Helper function to wait for refund to be processed (or fail) with polling
 async function waitForRefundProcessing(refundId, maxWaitSeconds = 10) {
   const pollInterval = 1000; // 1 second
   const maxAttempts = Math.ceil((maxWaitSeconds * 1000) / pollInterval);
@@ -86,7 +123,7 @@ async function waitForRefundProcessing(refundId, maxWaitSeconds = 10) {
   for (let i = 0; i < maxAttempts; i++) {
     await sleep(pollInterval);
     const refund = await api.get(`/api/v1/refunds/${refundId}`);
-    if (refund.data.status === "processed") {
+    if (refund.data.status !== "pending") {
       return refund.data;
     }
   }
@@ -107,13 +144,13 @@ async function testDatabasePositiveCases() {
 
   // 1. Create order with minimum valid amount
   const minAmountOrder = await api.post("/api/v1/orders", {
-    amount: 1,
+    amount: 100,
     currency: "INR",
     receipt: "min_amount_test",
   });
   assert(
-    minAmountOrder.status === 201 && minAmountOrder.data.amount === 1,
-    "DB Positive - Create order with minimum amount (1 paise)"
+    minAmountOrder.status === 201 && minAmountOrder.data.amount === 100,
+    "DB Positive - Create order with minimum amount (100 paise)"
   );
 
   // 2. Create order with maximum reasonable amount
@@ -161,16 +198,20 @@ async function testDatabasePositiveCases() {
   );
 
   // 6. List orders with pagination edge cases
-  const listZeroOffset = await api.get("/api/v1/orders?limit=5&offset=0");
+  const listFirstPage = await api.get("/api/v1/orders?limit=5");
   assert(
-    listZeroOffset.status === 200 && Array.isArray(listZeroOffset.data.data),
-    "DB Positive - List orders with offset=0"
+    listFirstPage.status === 200 && Array.isArray(listFirstPage.data.data),
+    "DB Positive - List first page of orders"
   );
 
-  const listHighOffset = await api.get("/api/v1/orders?limit=5&offset=10000");
+  const listEmptyRange = await api.get(
+    "/api/v1/orders?limit=5&from=2000-01-01&to=2000-01-02"
+  );
   assert(
-    listHighOffset.status === 200 && Array.isArray(listHighOffset.data.data),
-    "DB Positive - List orders with very high offset (empty result)"
+    listEmptyRange.status === 200 &&
+      listEmptyRange.data.data.length === 0 &&
+      listEmptyRange.data.next_cursor === null,
+    "DB Positive - List orders outside any date range (empty result)"
   );
 
   // 7. Create payment with both UPI and Card methods
@@ -254,6 +295,16 @@ async function testDatabaseNegativeCases() {
     "DB Negative - Reject order with zero amount"
   );
 
+  // 1b. Create order below the INR minimum
+  const belowMinimum = await api.post("/api/v1/orders", {
+    amount: 99,
+    currency: "INR",
+  });
+  assert(
+    belowMinimum.status === 400,
+    "DB Negative - Reject order below the currency minimum"
+  );
+
   // 2. Create order with negative amount
   const negativeAmount = await api.post("/api/v1/orders", {
     amount: -1000,
@@ -355,6 +406,106 @@ async function testDatabaseNegativeCases() {
   );
 }
 
+// ============================================
+// REQUEST VALIDATION TESTS
+// ============================================
+
+async function testRequestValidationCases() {
+  log("\n=== Request Validation Edge Cases ===", "section");
+
+  // 1. Mistyped amounts are rejected with the offending field
+  const badAmounts = [
+    ["string", "1000"],
+    ["float", 10.5],
+    ["huge", 1e12],
+    ["null", null],
+  ];
+  for (const [label, amount] of badAmounts) {
+    const res = await api.post("/api/v1/orders", { amount });
+    assert(
+      res.status === 400 &&
+        res.data.error.code === "BAD_REQUEST_ERROR" &&
+        res.data.error.field === "amount",
+      `Validation - Reject ${label} order amount with error.field`
+    );
+  }
+
+  // 2. Reasons distinguish type and range problems
+  const stringAmount = await api.post("/api/v1/orders", { amount: "1000" });
+  assert(
+    stringAmount.data.error.reason === "invalid_type",
+    "Validation - String amount has reason invalid_type"
+  );
+  const zeroAmount = await api.post("/api/v1/orders", { amount: 0 });
+  assert(
+    zeroAmount.data.error.reason === "out_of_range",
+    "Validation - Zero amount has reason out_of_range"
+  );
+
+  // 3. Unknown body fields are rejected
+  const unknownField = await api.post("/api/v1/orders", {
+    amount: 1000,
+    ammount: 1000,
+  });
+  assert(
+    unknownField.status === 400 &&
+      unknownField.data.error.field === "ammount" &&
+      unknownField.data.error.reason === "unknown_field",
+    "Validation - Unknown body field returns unknown_field"
+  );
+
+  // 4. Missing required fields name the field
+  const missingMethod = await api.post("/api/v1/payments", {
+    order_id: "order_doesnotexist123456",
+  });
+  assert(
+    missingMethod.status === 400 &&
+      missingMethod.data.error.field === "method" &&
+      missingMethod.data.error.reason === "required",
+    "Validation - Missing payment method returns required"
+  );
+
+  // 5. Formats are checked for payment details
+  const badCard = await api.post("/api/v1/payments", {
+    order_id: "order_doesnotexist123456",
+    method: "card",
+    card_number: "4111-1111-1111-1111",
+    card_expiry: "12/30",
+    card_cvv: "123",
+  });
+  assert(
+    badCard.status === 400 &&
+      badCard.data.error.field === "card_number" &&
+      badCard.data.error.reason === "invalid_format",
+    "Validation - Malformed card number returns invalid_format"
+  );
+
+  // 6. Query strings are validated too
+  const badLimit = await api.get("/api/v1/orders?limit=abc");
+  assert(
+    badLimit.status === 400 && badLimit.data.error.field === "limit",
+    "Validation - Non-numeric limit returns 400"
+  );
+  const unknownQuery = await api.get("/api/v1/payments?sort=amount");
+  assert(
+    unknownQuery.status === 400 &&
+      unknownQuery.data.error.reason === "unknown_field",
+    "Validation - Unknown query parameter returns 400"
+  );
+
+  // 7. Malformed JSON gets the standard error shape
+  const malformed = await api.post("/api/v1/orders", "{amount: 1000", {
+    headers: { "Content-Type": "application/json" },
+    transformRequest: [(data) => data],
+  });
+  assert(
+    malformed.status === 400 &&
+      malformed.data.error &&
+      malformed.data.error.reason === "invalid_json",
+    "Validation - Malformed JSON returns invalid_json"
+  );
+}
+
 // ============================================
 // REDIS/JOB QUEUE EDGE CASE TESTS
 // ============================================
@@ -391,8 +542,8 @@ async function testRedisPositiveCases() {
   });
 
   assert(
-    payment.status === 201 && payment.data.status === "pending",
-    "Redis Positive - Payment created with pending status"
+    payment.status === 201 && payment.data.status === "created",
+    "Redis Positive - Payment created with created status"
   );
 
   // Small delay to let job be enqueued
@@ -418,7 +569,7 @@ async function testRedisPositiveCases() {
     await sleep(2000);
     processedPayment = await api.get(`/api/v1/payments/${payment.data.id}`);
     if (
-      processedPayment.data.status === "success" ||
+      processedPayment.data.status === "authorized" ||
       processedPayment.data.status === "failed"
     ) {
       isProcessed = true;
@@ -438,7 +589,10 @@ async function testRedisPositiveCases() {
   );
 
   // 4. Refund job is enqueued and processed
-  if (processedPayment.data.status === "success") {
+  if (processedPayment.data.status === "authorized") {
+    await api.post(`/api/v1/payments/${payment.data.id}/capture`, {
+      amount: processedPayment.data.amount,
+    });
     const refund = await api.post(
       `/api/v1/payments/${payment.data.id}/refunds`,
       {
@@ -529,6 +683,11 @@ async function testIdempotencyPositiveCases() {
     first.data.id === second.data.id,
     "Idempotency Positive - Same key returns same payment ID"
   );
+  assert(
+    first.headers["idempotent-replayed"] === undefined &&
+      second.headers["idempotent-replayed"] === "true",
+    "Idempotency Positive - Replayed response is marked"
+  );
 
   // 2. Different idempotency keys create different payments
   const order2 = await api.post("/api/v1/orders", { amount: 5000 });
@@ -578,6 +737,63 @@ async function testIdempotencyPositiveCases() {
     specialPayment.status === 201,
     "Idempotency Positive - Special characters in key work"
   );
+
+  // 5. Other POST endpoints replay too
+  const orderKey = `idem_${generateUniqueId()}`;
+  const orderFirst = await api.post(
+    "/api/v1/orders",
+    { amount: 2500, receipt: "idem_order" },
+    { headers: { "Idempotency-Key": orderKey } }
+  );
+  const orderSecond = await api.post(
+    "/api/v1/orders",
+    { receipt: "idem_order", amount: 2500 },
+    { headers: { "Idempotency-Key": orderKey } }
+  );
+  assert(
+    orderFirst.status === 201 &&
+      orderSecond.status === 201 &&
+      orderFirst.data.id === orderSecond.data.id,
+    "Idempotency Positive - Order create replays (key order in body ignored)"
+  );
+
+  // 6. Concurrent requests with one key create a single order
+  const concurrentKey = `idem_${generateUniqueId()}`;
+  const concurrent = await Promise.all(
+    [1, 2].map(() =>
+      api.post(
+        "/api/v1/orders",
+        { amount: 3500, receipt: "idem_concurrent" },
+        { headers: { "Idempotency-Key": concurrentKey } }
+      )
+    )
+  );
+  assert(
+    concurrent.every((r) => r.status === 201) &&
+      concurrent[0].data.id === concurrent[1].data.id &&
+      concurrent.filter((r) => r.headers["idempotent-replayed"] === "true")
+        .length === 1,
+    "Idempotency Positive - Concurrent requests with one key create one order"
+  );
+
+  // 7. Error responses are stored and replayed with their status code
+  const voidKey = `idem_${generateUniqueId()}`;
+  const voidFirst = await api.post(
+    "/api/v1/payments/pay_doesnotexist1234/void",
+    {},
+    { headers: { "Idempotency-Key": voidKey } }
+  );
+  const voidSecond = await api.post(
+    "/api/v1/payments/pay_doesnotexist1234/void",
+    {},
+    { headers: { "Idempotency-Key": voidKey } }
+  );
+  assert(
+    voidFirst.status === 404 &&
+      voidSecond.status === 404 &&
+      voidSecond.headers["idempotent-replayed"] === "true",
+    "Idempotency Positive - Error response replayed with its status"
+  );
 }
 
 async function testIdempotencyNegativeCases() {
@@ -595,7 +811,7 @@ async function testIdempotencyNegativeCases() {
     "Idempotency Negative - Empty key treated as no key"
   );
 
-  // 2. Idempotency with different payloads (should still return cached)
+  // 2. Reusing a key with a different payload is rejected
   const order2 = await api.post("/api/v1/orders", { amount: 5000 });
   const sameKey = `idem_${generateUniqueId()}`;
 
@@ -611,10 +827,33 @@ async function testIdempotencyNegativeCases() {
     { headers: { "Idempotency-Key": sameKey } }
   );
 
-  // Should return the cached response (same payment ID)
   assert(
-    orig.data.id === different.data.id,
-    "Idempotency Negative - Same key returns cached even with different payload"
+    orig.status === 201 &&
+      different.status === 409 &&
+      different.data.error.code === "CONFLICT",
+    "Idempotency Negative - Same key with different payload returns 409"
+  );
+
+  // 3. Reusing a key on a different endpoint is rejected
+  const otherEndpoint = await api.post(
+    "/api/v1/orders",
+    { amount: 5000 },
+    { headers: { "Idempotency-Key": sameKey } }
+  );
+  assert(
+    otherEndpoint.status === 409,
+    "Idempotency Negative - Same key on another endpoint returns 409"
+  );
+
+  // 4. Keys longer than 255 characters are rejected
+  const tooLong = await api.post(
+    "/api/v1/orders",
+    { amount: 5000 },
+    { headers: { "Idempotency-Key": "k".repeat(256) } }
+  );
+  assert(
+    tooLong.status === 400 && tooLong.data.error.code === "BAD_REQUEST_ERROR",
+    "Idempotency Negative - Key over 255 characters returns 400"
   );
 }
 
@@ -634,9 +873,9 @@ async function testRefundPositiveCases() {
   });
 
   log("  Waiting for payment processing...", "info");
-  const processedPayment = await waitForPaymentProcessing(payment.data.id, 15);
+  const processedPayment = await waitForCapturedPayment(payment.data.id, 15);
 
-  if (processedPayment.status !== "success") {
+  if (processedPayment.status !== "captured") {
     log("  Payment did not succeed, skipping refund tests", "warn");
     return;
   }
@@ -672,9 +911,9 @@ async function testRefundPositiveCases() {
   });
 
   log("  Waiting for payment processing...", "info");
-  const processed2 = await waitForPaymentProcessing(payment2.data.id, 15);
+  const processed2 = await waitForCapturedPayment(payment2.data.id, 15);
 
-  if (processed2.status === "success") {
+  if (processed2.status === "captured") {
     const partialRefund = await api.post(
       `/api/v1/payments/${payment2.data.id}/refunds`,
       {
@@ -721,9 +960,9 @@ async function testRefundNegativeCases() {
   });
 
   log("  Waiting for payment processing...", "info");
-  const processedZero = await waitForPaymentProcessing(paymentZero.data.id, 15);
+  const processedZero = await waitForCapturedPayment(paymentZero.data.id, 15);
 
-  if (processedZero.status === "success") {
+  if (processedZero.status === "captured") {
     const zeroRefund = await api.post(
       `/api/v1/payments/${paymentZero.data.id}/refunds`,
       { amount: 0 }
@@ -763,12 +1002,12 @@ async function testRefundNegativeCases() {
   });
 
   log("  Waiting for payment processing...", "info");
-  const processedExceed = await waitForPaymentProcessing(
+  const processedExceed = await waitForCapturedPayment(
     paymentExceed.data.id,
     15
   );
 
-  if (processedExceed.status === "success") {
+  if (processedExceed.status === "captured") {
     const exceedRefund = await api.post(
       `/api/v1/payments/${paymentExceed.data.id}/refunds`,
       { amount: 10000 }
@@ -780,6 +1019,83 @@ async function testRefundNegativeCases() {
   }
 }
 
+async function testRefundConcurrencyCases() {
+  log("\n=== Refund Concurrency Edge Cases ===", "section");
+
+  const order = await api.post("/api/v1/orders", { amount: 10000 });
+  const payment = await api.post("/api/v1/payments", {
+    order_id: order.data.id,
+    method: "upi",
+    vpa: "concurrent_refund@upi",
+  });
+
+  log("  Waiting for payment processing...", "info");
+  const processed = await waitForCapturedPayment(payment.data.id, 15);
+
+  if (processed.status !== "captured") {
+    log("  Payment did not succeed, skipping concurrency tests", "warn");
+    return;
+  }
+
+  // 1. Five simultaneous partial refunds that together exceed the payment:
+  // only as many as fit may succeed
+  const refunds = await Promise.all(
+    Array.from({ length: 5 }, (_, i) =>
+      api.post(`/api/v1/payments/${payment.data.id}/refunds`, {
+        amount: 3000,
+        reason: `Concurrent refund ${i + 1}`,
+      })
+    )
+  );
+  const created = refunds.filter((r) => r.status === 201);
+  const rejected = refunds.filter((r) => r.status === 400);
+  assert(
+    created.length === 3 && rejected.length === 2,
+    "Refund Concurrency - Only refunds within the captured amount succeed",
+    `${created.length} created, ${rejected.length} rejected`
+  );
+
+  // 2. The same Idempotency-Key sent twice at once creates one refund
+  const idempotencyKey = `refund_${generateUniqueId()}`;
+  const [first, second] = await Promise.all(
+    [1, 2].map(() =>
+      api.post(
+        `/api/v1/payments/${payment.data.id}/refunds`,
+        { amount: 1000, reason: "Idempotent refund" },
+        { headers: { "Idempotency-Key": idempotencyKey } }
+      )
+    )
+  );
+  assert(
+    first.status === 201 &&
+      second.status === 201 &&
+      first.data.id === second.data.id,
+    "Refund Concurrency - Same Idempotency-Key returns the same refund"
+  );
+
+  // 3. A later retry gets the stored refund even though nothing is left
+  const retry = await api.post(
+    `/api/v1/payments/${payment.data.id}/refunds`,
+    { amount: 1000, reason: "Idempotent refund" },
+    { headers: { "Idempotency-Key": idempotencyKey } }
+  );
+  assert(
+    retry.status === 201 && retry.data.id === first.data.id,
+    "Refund Concurrency - Retry with the same key returns the original refund"
+  );
+
+  // 4. The stored refunds never add up to more than was captured
+  const list = await api.get(
+    `/api/v1/refunds?payment_id=${payment.data.id}&limit=100`
+  );
+  const total = list.data.data.reduce((sum, r) => sum + r.amount, 0);
+  assert(
+    list.data.data.length === 4 && total === 10000,
+    "Refund Concurrency - Refunded total equals the captured amount",
+    `${list.data.data.length} refunds totalling ${total}`
+  );
+}
+
 // ============================================
 // CAPTURE PAYMENT EDGE CASES
 // ============================================
@@ -797,14 +1113,16 @@ async function testCapturePositiveCases() {
   log("  Waiting for payment processing...", "info");
   const processed = await waitForPaymentProcessing(payment.data.id, 15);
 
-  if (processed.status === "success") {
-    // 1. Capture successful payment
+  if (processed.status === "authorized") {
+    // 1. Capture authorized payment
     const capture = await api.post(
       `/api/v1/payments/${payment.data.id}/capture`,
       { amount: 8000 }
     );
     assert(
-      capture.status === 200 && capture.data.captured === true,
+      capture.status === 200 &&
+        capture.data.status === "captured" &&
+        capture.data.captured === true,
       "Capture Positive - Successfully capture payment"
     );
 
@@ -817,6 +1135,54 @@ async function testCapturePositiveCases() {
   } else {
     log("  Payment did not succeed, skipping capture test", "warn");
   }
+
+  // 3. Partial captures up to a final capture
+  const partialOrder = await api.post("/api/v1/orders", { amount: 10000 });
+  const partialPayment = await api.post("/api/v1/payments", {
+    order_id: partialOrder.data.id,
+    method: "upi",
+    vpa: "partial_capture@upi",
+  });
+
+  log("  Waiting for payment processing...", "info");
+  const partialProcessed = await waitForPaymentProcessing(
+    partialPayment.data.id,
+    15
+  );
+
+  if (partialProcessed.status === "authorized") {
+    const firstCapture = await api.post(
+      `/api/v1/payments/${partialPayment.data.id}/capture`,
+      { amount: 3000 }
+    );
+    assert(
+      firstCapture.status === 200 &&
+        firstCapture.data.status === "partially_captured" &&
+        firstCapture.data.amount_captured === 3000,
+      "Capture Positive - Partial capture records amount_captured"
+    );
+
+    const secondCapture = await api.post(
+      `/api/v1/payments/${partialPayment.data.id}/capture`,
+      { amount: 2000, final_capture: true }
+    );
+    assert(
+      secondCapture.status === 200 &&
+        secondCapture.data.status === "captured" &&
+        secondCapture.data.amount_captured === 5000,
+      "Capture Positive - Final capture settles the payment"
+    );
+
+    // The released remainder cannot be refunded
+    const overRefund = await api.post(
+      `/api/v1/payments/${partialPayment.data.id}/refunds`,
+      { amount: 6000 }
+    );
+    assert(
+      overRefund.status === 400,
+      "Capture Positive - Refunds limited to the captured amount"
+    );
+  }
 }
 
 async function testCaptureNegativeCases() {
@@ -860,7 +1226,7 @@ async function testCaptureNegativeCases() {
   log("  Waiting for payment processing...", "info");
   const processed = await waitForPaymentProcessing(payment.data.id, 15);
 
-  if (processed.status === "success") {
+  if (processed.status === "authorized") {
     await api.post(`/api/v1/payments/${payment.data.id}/capture`, {
       amount: 7000,
     });
@@ -873,6 +1239,201 @@ async function testCaptureNegativeCases() {
       "Capture Negative - Cannot capture already captured payment"
     );
   }
+
+  // 4. Capture more than authorized or a non-positive amount
+  const orderExceed = await api.post("/api/v1/orders", { amount: 4000 });
+  const paymentExceed = await api.post("/api/v1/payments", {
+    order_id: orderExceed.data.id,
+    method: "upi",
+    vpa: "exceed_capture@upi",
+  });
+
+  log("  Waiting for payment processing...", "info");
+  const processedExceed = await waitForPaymentProcessing(
+    paymentExceed.data.id,
+    15
+  );
+
+  if (processedExceed.status === "authorized") {
+    const exceedCapture = await api.post(
+      `/api/v1/payments/${paymentExceed.data.id}/capture`,
+      { amount: 5000 }
+    );
+    assert(
+      exceedCapture.status === 400,
+      "Capture Negative - Cannot capture more than authorized"
+    );
+
+    const zeroCapture = await api.post(
+      `/api/v1/payments/${paymentExceed.data.id}/capture`,
+      { amount: 0 }
+    );
+    assert(
+      zeroCapture.status === 400,
+      "Capture Negative - Cannot capture zero amount"
+    );
+  }
+}
+
+// ============================================
+// VOID PAYMENT EDGE CASES
+// ============================================
+
+async function testVoidPaymentCases() {
+  log("\n=== Void Payment Edge Cases ===", "section");
+
+  // 1. Void non-existent payment
+  const nonExistent = await api.post(
+    "/api/v1/payments/pay_nonexistent123/void"
+  );
+  assert(
+    nonExistent.status === 404,
+    "Void Negative - Cannot void non-existent payment"
+  );
+
+  // 2. Void an authorized payment
+  const order = await api.post("/api/v1/orders", { amount: 6000 });
+  const payment = await api.post("/api/v1/payments", {
+    order_id: order.data.id,
+    method: "upi",
+    vpa: "void_test@upi",
+  });
+
+  log("  Waiting for payment processing...", "info");
+  const processed = await waitForPaymentProcessing(payment.data.id, 15);
+
+  if (processed.status === "authorized") {
+    const voided = await api.post(`/api/v1/payments/${payment.data.id}/void`);
+    assert(
+      voided.status === 200 && voided.data.status === "voided",
+      "Void Positive - Authorized payment is voided"
+    );
+
+    // 3. A voided payment cannot be captured, refunded or voided again
+    const captureVoided = await api.post(
+      `/api/v1/payments/${payment.data.id}/capture`,
+      { amount: 6000 }
+    );
+    assert(
+      captureVoided.status === 400,
+      "Void Negative - Cannot capture voided payment"
+    );
+
+    const refundVoided = await api.post(
+      `/api/v1/payments/${payment.data.id}/refunds`,
+      { amount: 1000 }
+    );
+    assert(
+      refundVoided.status === 400,
+      "Void Negative - Cannot refund voided payment"
+    );
+
+    const voidAgain = await api.post(
+      `/api/v1/payments/${payment.data.id}/void`
+    );
+    assert(
+      voidAgain.status === 400,
+      "Void Negative - Cannot void payment twice"
+    );
+
+    // 4. Voiding reopens the order, so it can be paid again
+    const reopened = await api.get(`/api/v1/orders/${order.data.id}`);
+    assert(
+      reopened.data.status === "attempted",
+      "Void Positive - Voided payment's order goes back to attempted"
+    );
+
+    const retry = await api.post("/api/v1/payments", {
+      order_id: order.data.id,
+      method: "upi",
+      vpa: "void_retry@upi",
+    });
+    assert(
+      retry.status === 201,
+      "Void Positive - Order of a voided payment accepts a new payment"
+    );
+
+    const retried = await waitForPaymentProcessing(retry.data.id, 15);
+    const repaid = await api.get(`/api/v1/orders/${order.data.id}`);
+    assert(
+      retried.status === "authorized" && repaid.data.status === "paid",
+      "Void Positive - New payment authorizes and pays the order"
+    );
+  }
+
+  // 5. Captured payments cannot be voided
+  const capturedOrder = await api.post("/api/v1/orders", { amount: 6000 });
+  const capturedPayment = await api.post("/api/v1/payments", {
+    order_id: capturedOrder.data.id,
+    method: "upi",
+    vpa: "void_captured@upi",
+  });
+
+  log("  Waiting for payment processing...", "info");
+  const captured = await waitForCapturedPayment(capturedPayment.data.id, 15);
+
+  if (captured.status === "captured") {
+    const voidCaptured = await api.post(
+      `/api/v1/payments/${capturedPayment.data.id}/void`
+    );
+    assert(
+      voidCaptured.status === 400,
+      "Void Negative - Cannot void captured payment"
+    );
+  }
+}
+
+// ============================================
+// ORDER EXPIRY EDGE CASES
+// ============================================
+
+// Needs the test environment's short expiry settings (see test/README.md):
+// an order_expiry_minutes of 3 then lasts 3 seconds
+async function testOrderExpiryCases() {
+  log("\n=== Order Expiry Edge Cases ===", "section");
+
+  const merchant = await createTestMerchant("Order Expiry Merchant");
+  await merchant.put("/api/v1/merchants/webhook", {
+    webhook_url: "http://localhost:9999/webhook",
+  });
+  await merchant.put("/api/v1/merchants/settings", {
+    order_expiry_minutes: 3,
+  });
+
+  // 1. An unpaid order expires once its window passes
+  const order = await merchant.post("/api/v1/orders", { amount: 8000 });
+
+  log("  Waiting for order to expire...", "info");
+  let expired = order.data;
+  for (let i = 0; i < 40 && expired.status !== "expired"; i++) {
+    await sleep(500);
+    expired = (await merchant.get(`/api/v1/orders/${order.data.id}`)).data;
+  }
+  assert(
+    expired.status === "expired",
+    "Order Expiry Positive - Unpaid order expires after order_expiry_minutes"
+  );
+
+  // 2. An expired order cannot be paid
+  const payment = await merchant.post("/api/v1/payments", {
+    order_id: order.data.id,
+    method: "upi",
+    vpa: "expired_order@upi",
+  });
+  assert(
+    payment.status === 400 &&
+      payment.data.error.description === "Order has expired",
+    "Order Expiry Negative - Payment on expired order returns 400"
+  );
+
+  // 3. Expiry sends order.expired
+  const webhooks = await merchant.get(
+    "/api/v1/webhooks?event=order.expired&include_total=true"
+  );
+  assert(
+    webhooks.status === 200 && webhooks.data.total === 1,
+    "Order Expiry Positive - Sends order.expired webhook"
+  );
 }
 
 // ============================================
@@ -883,7 +1444,9 @@ async function testWebhookPositiveCases() {
   log("\n=== Webhook Positive Edge Cases ===", "section");
 
   // 1. List webhooks
-  const webhooks = await api.get("/api/v1/webhooks?limit=10&offset=0");
+  const webhooks = await api.get(
+    "/api/v1/webhooks?limit=10&include_total=true"
+  );
   assert(
     webhooks.status === 200 && Array.isArray(webhooks.data.data),
     "Webhook Positive - List webhooks returns array"
@@ -996,7 +1559,56 @@ async function testAuthenticationEdgeCases() {
     "Auth Negative - Empty credentials returns 401"
   );
 
-  // 6. Test endpoint without auth (should work)
+  // 6. Publishable key can load an order for checkout
+  const pkOrder = await api.post("/api/v1/orders", { amount: 10000 });
+  const pkGetOrder = await axios.get(
+    `${API_URL}/api/v1/orders/${pkOrder.data.id}`,
+    {
+      headers: { "X-Api-Key": PUBLISHABLE_KEY },
+      validateStatus: () => true,
+    }
+  );
+  assert(
+    pkGetOrder.status === 200 && pkGetOrder.data.receipt === undefined,
+    "Auth Positive - Publishable key fetches order public fields"
+  );
+
+  // 7. Publishable key cannot reach merchant-only endpoints
+  const pkListOrders = await axios.get(`${API_URL}/api/v1/orders`, {
+    headers: { "X-Api-Key": PUBLISHABLE_KEY },
+    validateStatus: () => true,
+  });
+  assert(
+    pkListOrders.status === 403,
+    "Auth Negative - Publishable key cannot list orders"
+  );
+
+  const pkOrderPayments = await axios.get(
+    `${API_URL}/api/v1/orders/${pkOrder.data.id}/payments`,
+    {
+      headers: { "X-Api-Key": PUBLISHABLE_KEY },
+      validateStatus: () => true,
+    }
+  );
+  assert(
+    pkOrderPayments.status === 403,
+    "Auth Negative - Publishable key cannot list order payments"
+  );
+
+  const pkUnknown = await axios.get(
+    `${API_URL}/api/v1/orders/${pkOrder.data.id}`,
+    {
+      headers: { "X-Api-Key": "pk_test_unknown000" },
+      validateStatus: () => true,
+    }
+  );
+  assert(
+    pkUnknown.status === 401 &&
+      pkUnknown.data.error.description === "Invalid API credentials",
+    "Auth Negative - Unknown publishable key returns invalid credentials"
+  );
+
+  // 8. Test endpoint without auth (should work)
   const noAuthEndpoint = await axios.get(`${API_URL}/api/v1/test/jobs/status`, {
     validateStatus: () => true,
   });
@@ -1005,7 +1617,7 @@ async function testAuthenticationEdgeCases() {
     "Auth Positive - Test endpoint works without auth"
   );
 
-  // 7. Health endpoint without auth
+  // 9. Health endpoint without auth
   const healthNoAuth = await axios.get(`${API_URL}/health`, {
     validateStatus: () => true,
   });
@@ -1024,13 +1636,13 @@ async function testWebhookSignatureVerification() {
 
   // Test signature generation logic
   const testPayload = {
-    event: "payment.success",
+    event: "payment.authorized",
     timestamp: Math.floor(Date.now() / 1000),
     data: {
       payment: {
         id: "pay_test123",
         amount: 5000,
-        status: "success",
+        status: "authorized",
       },
     },
   };
@@ -1095,40 +1707,177 @@ async function testPaginationEdgeCases() {
     "Pagination Positive - Custom limit works"
   );
 
-  // 3. Zero offset
-  const zeroOffset = await api.get("/api/v1/orders?offset=0");
+  // 3. Cursors walk forward and back through a filtered list
+  const base = 700000 + Math.floor(Math.random() * 100000) * 10;
+  const created = [];
+  for (let i = 0; i < 3; i++) {
+    const order = await api.post("/api/v1/orders", { amount: base + i });
+    created.push(order.data.id);
+  }
+  const newestFirst = [...created].reverse();
+  const range = `min_amount=${base}&max_amount=${base + 2}`;
+
+  const firstPage = await api.get(
+    `/api/v1/orders?${range}&limit=2&include_total=true`
+  );
+  assert(
+    firstPage.status === 200 &&
+      firstPage.data.total === 3 &&
+      firstPage.data.has_more === true &&
+      firstPage.data.prev_cursor === null &&
+      firstPage.data.data.map((o) => o.id).join() ===
+        newestFirst.slice(0, 2).join(),
+    "Pagination Positive - First page is newest first with has_more"
+  );
+
+  const secondPage = await api.get(
+    `/api/v1/orders?${range}&limit=2&starting_after=${firstPage.data.next_cursor}`
+  );
+  assert(
+    secondPage.status === 200 &&
+      secondPage.data.has_more === false &&
+      secondPage.data.next_cursor === null &&
+      secondPage.data.data.length === 1 &&
+      secondPage.data.data[0].id === newestFirst[2],
+    "Pagination Positive - starting_after returns the next page"
+  );
+
+  const backPage = await api.get(
+    `/api/v1/orders?${range}&limit=2&ending_before=${secondPage.data.prev_cursor}`
+  );
+  assert(
+    backPage.status === 200 &&
+      backPage.data.data.map((o) => o.id).join() ===
+        newestFirst.slice(0, 2).join(),
+    "Pagination Positive - ending_before returns the previous page"
+  );
+
+  // 4. New records do not shift pages already being walked
+  await api.post("/api/v1/orders", { amount: base + 1 });
+  const stablePage = await api.get(
+    `/api/v1/orders?${range}&limit=2&starting_after=${firstPage.data.next_cursor}`
+  );
+  assert(
+    stablePage.status === 200 &&
+      stablePage.data.data.length === 1 &&
+      stablePage.data.data[0].id === newestFirst[2],
+    "Pagination Positive - Inserts do not shift later pages"
+  );
+
+  // 5. Filters
+  const paidOrders = await api.get("/api/v1/orders?status=paid&limit=20");
+  assert(
+    paidOrders.status === 200 &&
+      paidOrders.data.data.every((o) => o.status === "paid"),
+    "Pagination Positive - Orders filter by status"
+  );
+
+  const upiPayments = await api.get(
+    "/api/v1/payments?method=upi&status=created&status=failed"
+  );
+  assert(
+    upiPayments.status === 200 &&
+      upiPayments.data.data.every(
+        (p) => p.method === "upi" && ["created", "failed"].includes(p.status)
+      ),
+    "Pagination Positive - Payments filter by method and several statuses"
+  );
+
+  const orderPayment = await api.post("/api/v1/payments", {
+    order_id: created[0],
+    method: "upi",
+    vpa: "pagination@paytm",
+  });
+  const byOrder = await api.get(`/api/v1/payments?order_id=${created[0]}`);
   assert(
-    zeroOffset.status === 200 && zeroOffset.data.offset === 0,
-    "Pagination Positive - Zero offset works"
+    byOrder.status === 200 &&
+      byOrder.data.data.length === 1 &&
+      byOrder.data.data[0].id === orderPayment.data.id,
+    "Pagination Positive - Payments filter by order_id"
   );
 
-  // 4. Large offset (empty results)
-  const largeOffset = await api.get("/api/v1/orders?offset=999999");
+  const future = await api.get(
+    `/api/v1/orders?from=${encodeURIComponent(
+      new Date(Date.now() + 86400000).toISOString()
+    )}`
+  );
   assert(
-    largeOffset.status === 200 && largeOffset.data.data.length === 0,
-    "Pagination Positive - Large offset returns empty array"
+    future.status === 200 && future.data.data.length === 0,
+    "Pagination Positive - from in the future returns nothing"
   );
 
-  // 5. Payments pagination
-  const paymentsPagination = await api.get("/api/v1/payments?limit=5&offset=0");
+  // 6. Payments, refunds and webhooks paginate the same way
+  const paymentsPagination = await api.get("/api/v1/payments?limit=5");
   assert(
     paymentsPagination.status === 200 && paymentsPagination.data.limit === 5,
     "Pagination Positive - Payments pagination works"
   );
 
-  // 6. Refunds pagination
-  const refundsPagination = await api.get("/api/v1/refunds?limit=5&offset=0");
+  const refundsPagination = await api.get("/api/v1/refunds?limit=5");
   assert(
     refundsPagination.status === 200 && refundsPagination.data.limit === 5,
     "Pagination Positive - Refunds pagination works"
   );
 
-  // 7. Webhooks pagination
-  const webhooksPagination = await api.get("/api/v1/webhooks?limit=5&offset=0");
+  const webhooksPagination = await api.get(
+    "/api/v1/webhooks?limit=5&status=success"
+  );
   assert(
     webhooksPagination.status === 200 && webhooksPagination.data.limit === 5,
     "Pagination Positive - Webhooks pagination works"
   );
+
+  // 7. Invalid pagination input
+  const tooLarge = await api.get("/api/v1/orders?limit=101");
+  assert(
+    tooLarge.status === 400 && tooLarge.data.error.reason === "out_of_range",
+    "Pagination Negative - limit above 100 returns 400"
+  );
+
+  const offset = await api.get("/api/v1/orders?offset=10");
+  assert(
+    offset.status === 400 && offset.data.error.reason === "unknown_field",
+    "Pagination Negative - offset is no longer accepted"
+  );
+
+  const badCursor = await api.get("/api/v1/orders?starting_after=garbage");
+  assert(
+    badCursor.status === 400 &&
+      badCursor.data.error.field === "starting_after" &&
+      badCursor.data.error.reason === "invalid_cursor",
+    "Pagination Negative - Malformed cursor returns 400"
+  );
+
+  const wrongList = await api.get(
+    `/api/v1/payments?starting_after=${firstPage.data.next_cursor}`
+  );
+  assert(
+    wrongList.status === 400 &&
+      wrongList.data.error.reason === "invalid_cursor",
+    "Pagination Negative - Cursor from another list returns 400"
+  );
+
+  const bothCursors = await api.get(
+    `/api/v1/orders?starting_after=${firstPage.data.next_cursor}&ending_before=${firstPage.data.next_cursor}`
+  );
+  assert(
+    bothCursors.status === 400,
+    "Pagination Negative - starting_after with ending_before returns 400"
+  );
+
+  const badDate = await api.get("/api/v1/orders?from=yesterday");
+  assert(
+    badDate.status === 400 &&
+      badDate.data.error.field === "from" &&
+      badDate.data.error.reason === "invalid_format",
+    "Pagination Negative - Non ISO 8601 from returns 400"
+  );
+
+  const badStatus = await api.get("/api/v1/refunds?status=done");
+  assert(
+    badStatus.status === 400 && badStatus.data.error.reason === "invalid_value",
+    "Pagination Negative - Unknown status filter returns 400"
+  );
 }
 
 // ============================================
@@ -1158,9 +1907,9 @@ async function testDataIntegrity() {
 
   // 3. Refund ID format validation (if we can create one)
   log("  Waiting for payment processing...", "info");
-  const processed = await waitForPaymentProcessing(payment.data.id, 15);
+  const processed = await waitForCapturedPayment(payment.data.id, 15);
 
-  if (processed.status === "success") {
+  if (processed.status === "captured") {
     const refund = await api.post(
       `/api/v1/payments/${payment.data.id}/refunds`,
       { amount: 500 }
@@ -1199,8 +1948,40 @@ async function testDataIntegrity() {
     vpa: "status@upi",
   });
   assert(
-    statusPayment.data.status === "pending",
-    "Data Integrity - Payment initial status is 'pending'"
+    statusPayment.data.status === "created",
+    "Data Integrity - Payment initial status is 'created'"
+  );
+
+  // 7. Notes are stored as given and limited in size
+  const notesPayment = await api.get(
+    `/api/v1/payments/${statusPayment.data.id}`
+  );
+  assert(
+    notesPayment.data.notes &&
+      Object.keys(notesPayment.data.notes).length === 0,
+    "Data Integrity - Notes default to an empty object"
+  );
+
+  const tooManyNotes = {};
+  for (let i = 0; i < 16; i++) {
+    tooManyNotes[`key_${i}`] = "value";
+  }
+  const tooManyNotesOrder = await api.post("/api/v1/orders", {
+    amount: 1000,
+    notes: tooManyNotes,
+  });
+  assert(
+    tooManyNotesOrder.status === 400,
+    "Data Integrity - More than 15 notes keys returns 400"
+  );
+
+  const longNoteOrder = await api.post("/api/v1/orders", {
+    amount: 1000,
+    notes: { description: "x".repeat(257) },
+  });
+  assert(
+    longNoteOrder.status === 400,
+    "Data Integrity - Notes value over 256 characters returns 400"
   );
 }
 
@@ -1240,14 +2021,18 @@ async function runAllTests() {
     await testAuthenticationEdgeCases();
     await testDatabasePositiveCases();
     await testDatabaseNegativeCases();
+    await testRequestValidationCases();
     await testRedisPositiveCases();
     await testRedisNegativeCases();
     await testIdempotencyPositiveCases();
     await testIdempotencyNegativeCases();
     await testCapturePositiveCases();
     await testCaptureNegativeCases();
+    await testVoidPaymentCases();
+    await testOrderExpiryCases();
     await testRefundPositiveCases();
     await testRefundNegativeCases();
+    await testRefundConcurrencyCases();
     await testWebhookPositiveCases();
     await testWebhookNegativeCases();
     await testWebhookSignatureVerification();
@@ -75,15 +75,15 @@ async function runFastTests() {
     vpa: "test@upi",
   });
   check(payment.status === 201, "Payment created");
-  check(payment.data.status === "pending", "Payment status is pending");
+  check(payment.data.status === "created", "Payment status is created");
   const paymentId = payment.data.id;
   console.log(`   Payment ID: ${paymentId}`);
 
   // Wait for processing
   console.log("\n   ⏳ Waiting for payment processing...");
   let attempts = 0;
-  let paymentStatus = "pending";
-  while (paymentStatus === "pending" && attempts < 20) {
+  let paymentStatus = "created";
+  while (paymentStatus === "created" && attempts < 20) {
     await sleep(1000);
     const check = await api.get(`/api/v1/payments/${paymentId}`);
     paymentStatus = check.data.status;
@@ -95,16 +95,17 @@ async function runFastTests() {
   console.log("");
 
   check(
-    paymentStatus === "success" || paymentStatus === "failed",
+    paymentStatus === "authorized" || paymentStatus === "failed",
     `Payment processed (status: ${paymentStatus})`
   );
 
-  if (paymentStatus === "success") {
+  if (paymentStatus === "authorized") {
     // Capture payment
     const capture = await api.post(`/api/v1/payments/${paymentId}/capture`, {
       amount: 100000,
     });
     check(capture.status === 200, "Payment captured");
+    check(capture.data.status === "captured", "Payment status is captured");
     check(capture.data.captured === true, "Captured flag is true");
 
     // Create refund
@@ -168,7 +169,7 @@ async function runFastTests() {
   // 4. Webhook Logs
   console.log("\n📋 WEBHOOK SYSTEM\n");
 
-  const webhooks = await api.get("/api/v1/webhooks?limit=5");
+  const webhooks = await api.get("/api/v1/webhooks?limit=5&include_total=true");
   check(webhooks.status === 200, "Webhook logs accessible");
   console.log(`   Total webhook logs: ${webhooks.data.total}`);
 
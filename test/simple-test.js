@@ -108,7 +108,7 @@ async function main() {
         vpa: "test@upi",
       });
       paymentId = r.data.id;
-      return r.status === 201 && r.data.status === "pending";
+      return r.status === 201 && r.data.status === "created";
     })
   )
     passed++;
@@ -220,7 +220,7 @@ async function main() {
   const status = check.data.status;
   console.log(`  Payment status: ${status}`);
 
-  if (status === "success") {
+  if (status === "authorized") {
     if (
       await test("Capture payment", async () => {
         const r = await api.post(`/api/v1/payments/${paymentId}/capture`, {
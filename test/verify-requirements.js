@@ -170,7 +170,7 @@ async function verifyRequirements() {
         method: "upi",
         vpa: "test@upi",
       });
-      return res.status === 201 && res.data.status === "pending";
+      return res.status === 201 && res.data.status === "created";
     }
   );
 
@@ -203,12 +203,12 @@ async function verifyRequirements() {
         method: "upi",
         vpa: "test@upi",
       });
-      // Endpoint should exist, even if payment is pending
+      // Endpoint should exist, even if payment is not yet authorized
       const res = await api.post(
         `/api/v1/payments/${payment.data.id}/capture`,
         { amount: 1000 }
       );
-      return res.status === 400 || res.status === 200; // 400 for pending, 200 for success
+      return res.status === 400 || res.status === 200; // 400 for created, 200 for authorized
     }
   );
 
@@ -246,7 +246,7 @@ async function verifyRequirements() {
   results["GET /api/v1/webhooks"] = await checkRequirement(
     "GET /api/v1/webhooks - List Webhook Logs",
     async () => {
-      const res = await api.get("/api/v1/webhooks?limit=10&offset=0");
+      const res = await api.get("/api/v1/webhooks?limit=10");
       return res.status === 200 && Array.isArray(res.data.data);
     }
   );